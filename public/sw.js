@@ -0,0 +1,49 @@
+// --- SERVICE WORKER ---
+// Shows Web Push alerts from the chat server (mentions and highlight keywords), even with the tab closed.
+// Payload: { title, body, channel, thread, messageId }
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { title: 'Discord Web Chat', body: event.data.text() };
+    }
+
+    event.waitUntil((async () => {
+        // A visible chat tab shows its own notification for the same message
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.some(client => client.focused && client.visibilityState === 'visible')) return;
+
+        await self.registration.showNotification(data.title || 'Discord Web Chat', {
+            body: data.body || '',
+            tag: data.messageId ? `msg-${data.messageId}` : undefined, // Same tag as the page's notification
+            data: { channel: data.channel, thread: data.thread }
+        });
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { channel } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const chat = windows.find(client => new URL(client.url).origin === self.location.origin);
+
+        if (chat) {
+            chat.postMessage({ type: 'openChannel', channel: channel });
+            await chat.focus();
+        } else {
+            await self.clients.openWindow(channel ? `/?channel=${encodeURIComponent(channel)}` : '/');
+        }
+    })());
+});
@@ -1,14 +1,117 @@
 require('dotenv').config();
 const express = require('express');
-const { Client, GatewayIntentBits } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, SnowflakeUtil, StickerFormatType, SlashCommandBuilder, PermissionFlagsBits, MessageFlags, InteractionContextType, RateLimitError, RESTEvents, Status } = require('discord.js');
 const cors = require('cors');
 
-const rateLimit = require('express-rate-limit');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const net = require('net');
+const tls = require('tls');
+const multer = require('multer');
+const webpush = require('web-push');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Logging: LOG_LEVEL (debug, info, warn, error or silent) filters what is written, and LOG_FORMAT=json
+// writes one JSON object per line ({ time, level, tag, msg, ... }) instead of the "[TAG] message" lines
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const LOG_LEVEL = process.env.LOG_LEVEL in LOG_LEVELS ? process.env.LOG_LEVEL : 'info';
+const LOG_JSON = process.env.LOG_FORMAT === 'json';
+const consoleWriters = {
+    debug: console.debug.bind(console),
+    info: console.log.bind(console),
+    warn: console.warn.bind(console),
+    error: console.error.bind(console)
+};
+
+// Function to write a log entry; fields are extra properties for JSON output (text output is just the message)
+function log(level, tag, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    
+    if (LOG_JSON) {
+        consoleWriters[level](JSON.stringify({ time: new Date().toISOString(), level, tag, msg: message, ...fields }));
+    } else {
+        consoleWriters[level](tag ? `[${tag}] ${message}` : message);
+    }
+}
+
+// Function to turn console arguments into a log entry: the "[TAG]" prefix becomes the tag, the timestamp
+// some lines start with is dropped (entries have their own) and errors keep their stack
+function logConsoleCall(level, args) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    if (!LOG_JSON) return consoleWriters[level](...args);
+    
+    const error = args.find(arg => arg instanceof Error);
+    let message = util.format(...args.filter(arg => !(arg instanceof Error)));
+    let tag = null;
+    
+    const match = message.match(/^\[([A-Z_]+)\] (?:\d{4}-\d\d-\d\dT[\d:.]+Z \| )?/);
+    if (match) {
+        tag = match[1];
+        message = message.slice(match[0].length);
+    }
+    
+    log(level, tag, message.replace(/:$/, ''), error ? { error: { message: error.message, stack: error.stack } } : {});
+}
+
+// Route the existing console calls through the level filter and format
+console.debug = (...args) => logConsoleCall('debug', args);
+console.log = (...args) => logConsoleCall('info', args);
+console.info = (...args) => logConsoleCall('info', args);
+console.warn = (...args) => logConsoleCall('warn', args);
+console.error = (...args) => logConsoleCall('error', args);
+
+// Metrics served at /metrics in the Prometheus text format
+// Counters and histograms are kept per label set; gauges are read when scraped (see getMetricsText)
+const METRIC_DEFINITIONS = {
+    webchat_messages_in_total: { type: 'counter', help: 'Discord messages received in bridged channels and threads' },
+    webchat_messages_out_total: { type: 'counter', help: 'Web messages and uploads sent to Discord' },
+    webchat_send_failures_total: { type: 'counter', help: 'Web messages and uploads that could not be sent to Discord' },
+    webchat_http_request_duration_seconds: { type: 'histogram', help: 'API response time by route' }
+};
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricValues = new Map(); // name -> Map(label string -> count, or { buckets, sum, count } for histograms)
+
+// Function to format labels as {name="value",...}
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+// Function to get the values of one metric
+function getMetricSeries(name) {
+    if (!metricValues.has(name)) {
+        metricValues.set(name, new Map());
+    }
+    return metricValues.get(name);
+}
+
+function incrementMetric(name, labels = {}) {
+    const series = getMetricSeries(name);
+    const key = formatMetricLabels(labels);
+    series.set(key, (series.get(key) || 0) + 1);
+}
+
+function observeMetric(name, labels, value) {
+    const series = getMetricSeries(name);
+    const key = formatMetricLabels(labels);
+    let histogram = series.get(key);
+    if (!histogram) {
+        histogram = { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        series.set(key, histogram);
+    }
+    
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (value <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += value;
+    histogram.count++;
+}
+
 // Configure proxy trust if behind a proxy (like Cloudflare)
 if (process.env.TRUST_PROXY === 'true') {
     app.set('trust proxy', true);
@@ -16,6 +119,7 @@ if (process.env.TRUST_PROXY === 'true') {
 }
 
 // Custom logging middleware for all requests
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
 app.use((req, res, next) => {
     try {
         const startTime = Date.now();
@@ -79,7 +183,29 @@ app.use((req, res, next) => {
                 const userAgent = req.get('User-Agent') || 'Unknown';
                 const contentLength = req.get('Content-Length') || '0';
                 
-                console.log(`[HTTP] ${new Date().toISOString()} | ${req.method} ${req.originalUrl || req.url} | ${res.statusCode} | ${ip} | ${duration}ms | Req: ${contentLength}B | Res: ${responseSize}B | UA: ${userAgent}`);
+                // Health checks and scrapes arrive every few seconds, so they are only logged at debug level
+                const level = PROBE_PATHS.includes(req.path) ? 'debug' : 'info';
+                log(level, 'HTTP', LOG_JSON
+                    ? `${req.method} ${req.originalUrl || req.url} ${res.statusCode}`
+                    : `${new Date().toISOString()} | ${req.method} ${req.originalUrl || req.url} | ${res.statusCode} | ${ip} | ${duration}ms | Req: ${contentLength}B | Res: ${responseSize}B | UA: ${userAgent}`, {
+                    method: req.method,
+                    path: req.originalUrl || req.url,
+                    status: res.statusCode,
+                    ip: ip,
+                    durationMs: duration,
+                    requestBytes: parseInt(contentLength, 10) || 0,
+                    responseBytes: responseSize,
+                    userAgent: userAgent
+                });
+                
+                // API latency by route pattern (not URL) so ids don't create new series; streams stay open, so skip them
+                if (req.route && req.route.path.startsWith('/api/') && req.route.path !== '/api/stream') {
+                    observeMetric('webchat_http_request_duration_seconds', {
+                        method: req.method,
+                        route: req.route.path,
+                        status: res.statusCode
+                    }, duration / 1000);
+                }
             } catch (error) {
                 console.error('[HTTP] Error logging request:', error.message);
             }
@@ -97,729 +223,5882 @@ app.use((req, res, next) => {
     }
 });
 
-// Store messages in memory (simple array)
-let messages = [];
-const MAX_MESSAGES = 100; // Keep only last 100 messages
+// Runtime settings: the .env values are the defaults, CONFIG_FILE (JSON) overrides them and is watched for
+// changes, and admins edit it from the web UI. An invalid file is rejected and the last good settings are kept
+const CONFIG_FILE = path.resolve(process.env.CONFIG_FILE || 'config.json');
+const CONFIG_WATCH_INTERVAL = 2000;
+const PASSWORD_SETTINGS = ['chatPassword', 'moderatorPassword', 'adminPassword'];
+const RATE_LIMIT_DEFAULTS = {
+    login: { burst: 3, perMinute: 30, message: 'Too many password attempts, please try again later.' },
+    send: { burst: 5, perMinute: 60, message: 'Too many messages, please slow down.' },
+    upload: { burst: 3, perMinute: 20, message: 'Too many uploads, please slow down.' },
+    edit: { burst: 5, perMinute: 60, message: 'Too many edits, please slow down.' },
+    delete: { burst: 5, perMinute: 60, message: 'Too many deletions, please slow down.' },
+    react: { burst: 10, perMinute: 60, message: 'Too many reactions, please slow down.' },
+    thread: { burst: 2, perMinute: 10, message: 'Too many new threads, please slow down.' },
+    purge: { burst: 2, perMinute: 10, message: 'Too many purges, please wait a moment.' },
+    typing: { burst: 2, perMinute: 15, message: 'Typing indicator rate limit exceeded.' },
+    push: { burst: 5, perMinute: 10, message: 'Too many notification changes, please wait a minute.' },
+    search: { burst: 4, perMinute: 120, message: 'Too many searches, please slow down.' },
+    export: { burst: 2, perMinute: 5, message: 'Too many exports, please wait a minute.' }
+};
+const DISCORD_ADAPTER = process.env.DISCORD_ADAPTER === 'loopback' ? 'loopback' : 'discord';
+// The loopback adapter bridges a built-in demo channel when no ids are set, so the demo needs no setup
+const LOOPBACK_DEMO_CHANNEL = '100000000000000001';
+const DEFAULT_CONFIG = {
+    // Bridged channels and DMs (comma-separated; DISCORD_CHANNEL_ID still works for a single target)
+    channels: getConfiguredChannelIds(),
+    // Shared-password logins (plain text or "scrypt:<salt>:<hash>"); moderator and admin ones grant those roles
+    chatPassword: process.env.CHAT_PASSWORD || '',
+    moderatorPassword: process.env.MODERATOR_PASSWORD || '',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    defaultUsername: 'elianka', // Name for web users who leave theirs empty
+    maxMessages: 100, // Messages kept in memory and sent on load, per channel
+    presence: {
+        activeText: 'Web Chat Active',
+        idleText: 'Web Chat Idle',
+        timeout: 15000 // Milliseconds without web requests before the bot goes DND
+    },
+    rateLimits: parseRateLimitOverrides(process.env.RATE_LIMITS) // { "<route>": { burst, perMinute } }
+};
+let config = loadConfig();
 
-// Store typing users
-let typingUsers = new Map();
-const TYPING_TIMEOUT = 5000; // 5 seconds
-
-// Bot presence management
-let lastApiRequest = Date.now();
-let isOnline = false;
-const PRESENCE_TIMEOUT = 15000; // 15 seconds of inactivity before going DND
+// Function to read the bridged ids from the environment
+function getConfiguredChannelIds() {
+    const ids = (process.env.DISCORD_CHANNEL_IDS || process.env.DISCORD_CHANNEL_ID || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    return ids.length === 0 && DISCORD_ADAPTER === 'loopback' ? [LOOPBACK_DEMO_CHANNEL] : ids;
+}
 
-// Function to update bot presence
-async function updateBotPresence() {
+// Function to read RATE_LIMITS from the environment, e.g. {"send": {"burst": 10, "perMinute": 120}}
+function parseRateLimitOverrides(value) {
     try {
-        if (!client.user) return;
-        
-        const now = Date.now();
-        const timeSinceLastRequest = now - lastApiRequest;
-        
-        if (timeSinceLastRequest < PRESENCE_TIMEOUT && !isOnline) {
-            // Set to online
-            await client.user.setPresence({
-                status: 'online',
-                activities: [{
-                    name: 'Web Chat Active',
-                    type: 0 // Playing
-                }]
-            });
-            isOnline = true;
-            console.log('[BOT] Bot status set to online');
-        } else if (timeSinceLastRequest >= PRESENCE_TIMEOUT && isOnline) {
-            // Set to DND
-            await client.user.setPresence({
-                status: 'dnd',
-                activities: [{
-                    name: 'Web Chat Idle',
-                    type: 0 // Playing
-                }]
-            });
-            isOnline = false;
-            console.log('[BOT] Bot status set to DND');
-        }
+        const overrides = JSON.parse(value || '{}');
+        return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
     } catch (error) {
-        console.error('[BOT] Error updating bot presence:', error.message);
+        console.error('[CONFIG] Invalid RATE_LIMITS, using the defaults:', error.message);
+        return {};
     }
 }
 
-// Check presence every 10 seconds
-setInterval(updateBotPresence, 10000);
-
-// Rate limiting configurations
-const passwordRateLimit = rateLimit({
-    windowMs: 2 * 1000, // 2 seconds
-    max: 1, // 1 attempt per 2 seconds per IP
-    message: { error: 'Too many password attempts, please try again later.' },
-    standardHeaders: true,
-    legacyHeaders: false,
-    // Disable validation checks if behind proxy
-    validate: process.env.TRUST_PROXY === 'true' ? {
-        xForwardedForHeader: false,
-        trustProxy: false
-    } : undefined
-});
-
-const messageRateLimit = rateLimit({
-    windowMs: 1 * 1000, // 1 second
-    max: 1, // 1 message per second per IP
-    message: { error: 'Too many messages, please slow down.' },
-    standardHeaders: true,
-    legacyHeaders: false,
-    // Disable validation checks if behind proxy
-    validate: process.env.TRUST_PROXY === 'true' ? {
-        xForwardedForHeader: false,
-        trustProxy: false
-    } : undefined
-});
-
-const typingRateLimit = rateLimit({
-    windowMs: 4 * 1000, // 4 seconds
-    max: 1, // 1 typing indicator per 4 seconds per IP
-    message: { error: 'Typing indicator rate limit exceeded.' },
-    standardHeaders: true,
-    legacyHeaders: false,
-    // Disable validation checks if behind proxy
-    validate: process.env.TRUST_PROXY === 'true' ? {
-        xForwardedForHeader: false,
-        trustProxy: false
-    } : undefined
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-// Discord bot setup
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.DirectMessages,
-        GatewayIntentBits.GuildMessageTyping,
-        GatewayIntentBits.DirectMessageTyping
-    ]
-});
+// Function to check settings from the file (missing keys fall back to the .env values)
+// Returns { config, errors }; config is null when anything is invalid
+function validateConfig(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { config: null, errors: ['Settings must be a JSON object'] };
+    }
+    
+    const errors = Object.keys(input)
+        .filter(key => !Object.hasOwn(DEFAULT_CONFIG, key))
+        .map(key => `Unknown setting "${key}"`);
+    ['presence', 'rateLimits'].forEach(key => {
+        if (input[key] !== undefined && (!input[key] || typeof input[key] !== 'object' || Array.isArray(input[key]))) {
+            errors.push(`${key} must be an object`);
+        }
+    });
+    const presence = { ...DEFAULT_CONFIG.presence, ...input.presence };
+    // Per route, so a file that sets only burst keeps the RATE_LIMITS perMinute
+    const fileRateLimits = input.rateLimits && typeof input.rateLimits === 'object' && !Array.isArray(input.rateLimits) ? input.rateLimits : {};
+    const { rateLimits } = mergeConfigSettings(DEFAULT_CONFIG, { rateLimits: fileRateLimits });
+    const merged = { ...DEFAULT_CONFIG, ...input, presence, rateLimits };
+    
+    if (!Array.isArray(merged.channels) || merged.channels.length === 0 || !merged.channels.every(isSnowflake)) {
+        errors.push('channels must be a non-empty list of Discord channel or user ids');
+    } else if (new Set(merged.channels).size !== merged.channels.length) {
+        errors.push('channels must not repeat an id');
+    }
+    PASSWORD_SETTINGS.forEach(key => {
+        if (typeof merged[key] !== 'string') errors.push(`${key} must be a string`);
+    });
+    if (typeof merged.defaultUsername !== 'string' || !merged.defaultUsername.trim() || merged.defaultUsername.length > 80) {
+        errors.push('defaultUsername must be 1-80 characters');
+    }
+    if (!Number.isInteger(merged.maxMessages) || merged.maxMessages < 10 || merged.maxMessages > 1000) {
+        errors.push('maxMessages must be a whole number from 10 to 1000');
+    }
+    ['activeText', 'idleText'].forEach(key => {
+        if (typeof presence[key] !== 'string' || !presence[key].trim() || presence[key].length > 128) {
+            errors.push(`presence.${key} must be 1-128 characters`);
+        }
+    });
+    if (!Number.isInteger(presence.timeout) || presence.timeout < 1000 || presence.timeout > 3600000) {
+        errors.push('presence.timeout must be 1000-3600000 milliseconds');
+    }
+    for (const [name, limit] of Object.entries(rateLimits)) {
+        if (!Object.hasOwn(RATE_LIMIT_DEFAULTS, name)) {
+            errors.push(`Unknown rate limit "${name}"`);
+        } else if (!limit || typeof limit !== 'object' || Object.keys(limit).some(key => key !== 'burst' && key !== 'perMinute')) {
+            errors.push(`rateLimits.${name} must be { burst, perMinute }`);
+        } else {
+            if (limit.burst !== undefined && !(Number.isInteger(limit.burst) && limit.burst >= 1 && limit.burst <= 1000)) {
+                errors.push(`rateLimits.${name}.burst must be a whole number from 1 to 1000`);
+            }
+            if (limit.perMinute !== undefined && !(typeof limit.perMinute === 'number' && limit.perMinute > 0 && limit.perMinute <= 6000)) {
+                errors.push(`rateLimits.${name}.perMinute must be above 0 and at most 6000`);
+            }
+        }
+    }
+    
+    return { config: errors.length === 0 ? merged : null, errors };
+}
 
-// Bot ready event
-client.once('ready', async () => {
+// Function to read the settings file; returns {} when there is none and null when it can't be used
+function readConfigFile() {
     try {
-        console.log(`[BOT] Discord bot logged in as ${client.user.tag}`);
-        
-        // Set initial presence to DND
-        await client.user.setPresence({
-            status: 'dnd',
-            activities: [{
-                name: 'Web Chat Idle',
-                type: 0 // Playing
-            }]
-        });
-        
-        // Fetch initial message history
-        await fetchDiscordHistory();
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
     } catch (error) {
-        console.error('[BOT] Error in ready event:', error.message);
+        if (error.code === 'ENOENT') return {};
+        console.error(`[CONFIG] Error reading ${CONFIG_FILE}:`, error.message);
+        return null;
     }
-});
+}
 
-// Add error event handler for Discord client
-client.on('error', (error) => {
-    console.error('[BOT] Discord client error:', error.message);
-});
+// Function to load the startup settings, falling back to the .env values when the file is invalid
+function loadConfig() {
+    const input = readConfigFile();
+    const { config: loaded, errors } = validateConfig(input || {});
+    if (loaded) return loaded;
+    
+    if (input && Object.keys(input).length > 0) {
+        console.error(`[CONFIG] Ignoring ${CONFIG_FILE}: ${errors.join('; ')}`);
+    }
+    return validateConfig({}).config || DEFAULT_CONFIG;
+}
 
-// Add warning event handler
-client.on('warn', (warning) => {
-    console.warn('[BOT] Discord client warning:', warning);
-});
+// Webhook mode: web messages are posted through a channel webhook with each user's name and avatar
+// DMs have no webhooks and keep using the bot with a "**username**: message" prefix
+const USE_WEBHOOKS = process.env.USE_WEBHOOKS === 'true';
+const WEBHOOK_NAME = 'Web Chat Bridge';
+const WEBHOOK_AVATAR_URL = process.env.WEBHOOK_AVATAR_URL || ''; // Default avatar, "{username}" is replaced
+const bridgeWebhookIds = new Set();
+const TYPING_TIMEOUT = 5000; // 5 seconds
+const DISCORD_TYPING_TIMEOUT = 10000; // Discord shows (and resends) typing for about 10 seconds
 
-// Add disconnect handler
-client.on('disconnect', () => {
-    console.log('[BOT] Discord client disconnected');
-});
+// Member list: the full list and live presence need the privileged Server Members and Presence intents,
+// enabled in the Discord developer portal. Without them only members the bot has already seen are listed
+const MEMBER_INTENTS = process.env.DISCORD_MEMBER_INTENTS === 'true';
+const MAX_MEMBER_LIST = 500; // Members sent to the web per channel
 
-// Add reconnecting handler
-client.on('reconnecting', () => {
-    console.log('[BOT] Discord client reconnecting...');
-});
+// Each bridged channel keeps its own message buffer and typing users in memory, in the configured order
+const channels = new Map();
+config.channels.forEach(id => channels.set(id, createChannelState(id)));
 
-// Function to fetch Discord message history (last 7 days)
-async function fetchDiscordHistory() {
-    try {
-        let channel;
-        try {
-            // Try to fetch as a channel first
-            channel = await client.channels.fetch(process.env.DISCORD_CHANNEL_ID);
-        } catch (error) {
-            // If that fails, try to fetch as a user and create DM
-            const user = await client.users.fetch(process.env.DISCORD_CHANNEL_ID);
-            channel = await user.createDM();
-        }
-        
-        // Calculate date 7 days ago
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        
-        // Fetch messages
-        const fetchedMessages = await channel.messages.fetch({ limit: 100 });
-        
-        // Filter messages from last 7 days and convert to our format
-        const recentMessages = fetchedMessages
-            .filter(msg => msg.createdAt > sevenDaysAgo)
-            .sort((a, b) => a.createdAt - b.createdAt)
-            .map(msg => {
-                // Extract media URLs from message
-                const mediaUrls = [];
-                
-                // Check for attachments (images, files)
-                if (msg.attachments.size > 0) {
-                    msg.attachments.forEach(attachment => {
-                        if (attachment.contentType && attachment.contentType.startsWith('image/')) {
-                            mediaUrls.push({
-                                url: attachment.url,
-                                type: 'image',
-                                filename: attachment.name
-                            });
-                        }
-                    });
-                }
-                
-                // Check for embeds (links that Discord auto-embeds)
-                if (msg.embeds.length > 0) {
-                    msg.embeds.forEach(embed => {
-                        if (embed.image) {
-                            mediaUrls.push({
-                                url: embed.image.url,
-                                type: 'image',
-                                filename: 'embedded_image'
-                            });
-                        }
-                        if (embed.thumbnail) {
-                            mediaUrls.push({
-                                url: embed.thumbnail.url,
-                                type: 'image',
-                                filename: 'thumbnail'
-                            });
-                        }
-                    });
-                }
-                
-                // Check for URLs in message content that might be images
-                const urlRegex = /(https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp|bmp|svg))/gi;
-                const urlMatches = msg.content.match(urlRegex);
-                if (urlMatches) {
-                    urlMatches.forEach(url => {
-                        mediaUrls.push({
-                            url: url,
-                            type: 'image',
-                            filename: 'linked_image'
-                        });
-                    });
-                }
-                
-                // Parse emojis from message content
-                const emojis = parseEmojis(msg.content);
-                mediaUrls.push(...emojis);
-                
-                // Parse stickers from message
-                const stickers = parseStickers(msg);
-                mediaUrls.push(...stickers);
-                
-                // Determine message source
-                let source = 'Discord';
-                let isBot = false;
-                
-                if (msg.author.bot) {
-                    isBot = true;
-                    if (msg.webhookId) {
-                        source = 'Webhook';
-                    } else {
-                        source = 'Bot';
-                    }
-                }
-                
-                // Parse username from web messages
-                let author = msg.author.username;
-                let content = msg.content;
-                
-                // If it's from our bot and has the web format, extract the real username
-                if (msg.author.id === process.env.DISCORD_BOT_CLIENT_ID && content.startsWith('**') && content.includes('**: ')) {
-                    const match = content.match(/^\*\*(.+?)\*\*: (.+)$/);
-                    if (match) {
-                        author = match[1];
-                        content = match[2];
-                        source = 'Web';
-                        isBot = false;
-                    }
-                }
-                
-                return {
-                    id: msg.id,
-                    author: author,
-                    content: content,
-                    timestamp: msg.createdAt.toISOString(),
-                    source: source,
-                    isBot: isBot,
-                    media: mediaUrls
-                };
-            });
-        
-        // Replace current messages with history
-        messages = recentMessages.slice(-MAX_MESSAGES);
-        
-        console.log(`[BOT] Loaded ${messages.length} messages from Discord history`);
-    } catch (error) {
-        console.error('[BOT] Error fetching Discord history:', error);
-    }
+if (channels.size === 0) {
+    console.warn('[SERVER] No DISCORD_CHANNEL_IDS configured - nothing will be bridged');
 }
 
-// Function to get emoji URL
-function getEmojiUrl(emojiId, animated = false) {
-    const extension = animated ? 'gif' : 'png';
-    return `https://cdn.discordapp.com/emojis/${emojiId}.${extension}`;
+// Function to create the state of a bridged channel or DM
+function createChannelState(id) {
+    return {
+        id: id,
+        name: id, // Replaced with the channel or user name once resolved
+        type: 'unknown', // 'channel' or 'dm' once resolved
+        discordChannel: null,
+        webhook: undefined, // Bridge webhook once looked up, null when unavailable (e.g. DMs)
+        announcement: null, // { id, message, author, timestamp } from /webchat announce
+        messages: [],
+        typingUsers: new Map()
+    };
 }
 
-// Function to get sticker URL
-function getStickerUrl(stickerId, format) {
-    // Format can be PNG, APNG, or LOTTIE
-    const extension = format === 'LOTTIE' ? 'json' : 'png';
-    return `https://cdn.discordapp.com/stickers/${stickerId}.${extension}`;
+// Threads under bridged channels, keyed by thread id. Each has the same shape as a channel
+// state plus `parent` (the channel state) so messages, edits and paging work on either
+const threads = new Map();
+
+// Function to look up a channel's state (defaults to the first configured channel)
+// Thread ids resolve to their thread state
+function getChannelState(channelId) {
+    return channels.get(channelId || channels.keys().next().value) || threads.get(channelId) || null;
 }
 
-// Function to parse emojis from message content
-function parseEmojis(content) {
-    const emojis = [];
-    const emojiRegex = /<(a?):(\w+):(\d+)>/g;
-    let match;
-    
-    while ((match = emojiRegex.exec(content)) !== null) {
-        const animated = match[1] === 'a';
-        const emojiName = match[2];
-        const emojiId = match[3];
-        const emojiUrl = getEmojiUrl(emojiId, animated);
-        
-        emojis.push({
-            url: emojiUrl,
-            type: 'emoji',
-            name: emojiName,
-            animated: animated,
-            id: emojiId
-        });
-    }
-    
-    return emojis;
+// Function to list channels for the web UI
+function getChannelList() {
+    return Array.from(channels.values()).map(state => ({
+        id: state.id,
+        name: state.name,
+        type: state.type,
+        lastMessageId: state.messages.length > 0 ? state.messages[state.messages.length - 1].id : null,
+        locked: lockedChannels.has(state.id), // Read-only for web users (set with /webchat lock)
+        announcement: state.announcement || null // Banner pushed with /webchat announce
+    }));
 }
 
-// Function to parse stickers from Discord message
-function parseStickers(message) {
-    const stickers = [];
+// Real-time streaming (Server-Sent Events)
+const streamClients = new Set();
+const STREAM_EPOCH = Date.now().toString(36); // Changes on restart so stale cursors get a fresh snapshot
+const MAX_STREAM_EVENTS = 500; // Events kept in memory for resuming clients
+const STREAM_HEARTBEAT_INTERVAL = 25000; // 25 seconds
+let streamEvents = [];
+let streamSeq = 0;
+
+// Persistent message storage
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'jsonl'; // 'jsonl' or 'memory'
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || 'data');
+const MESSAGE_RETENTION_DAYS = parseFloat(process.env.MESSAGE_RETENTION_DAYS || '30'); // 0 keeps messages forever
+const MAX_BACKFILL_PAGES = 10; // Up to 1000 missed messages per channel on startup
+const PRUNE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Every store implements the same interface:
+//   init(channelIds), saveMessage(channelId, message), deleteMessage(channelId, messageId),
+//   getMessage(channelId, messageId), getMessages(channelId, { limit, before, after }),
+//   getLatestMessage(channelId), search(channelId, filters), getChannelIds(), prune(cutoffDate)
+// saveMessage upserts by message id. getMessages returns messages in chronological order: the newest
+// ones (before a message id when given), or the oldest ones after a message id.
+// search returns every message matching the filters (see matchesSearch) in chronological order.
+
+// Function to check a stored message against search filters
+// filters: { terms: lowercase words/phrases that must all appear, author, source, since, until (ISO), mediaType }
+function matchesSearch(message, { terms = [], author = null, source = null, since = null, until = null, mediaType = null }) {
+    if (author && String(message.author).toLowerCase() !== author.toLowerCase()) return false;
+    if (source && message.source !== source) return false;
+    if (since && message.timestamp < since) return false;
+    if (until && message.timestamp > until) return false;
     
-    if (message.stickers && message.stickers.size > 0) {
-        message.stickers.forEach(sticker => {
-            const stickerUrl = getStickerUrl(sticker.id, sticker.format);
-            stickers.push({
-                url: stickerUrl,
-                type: 'sticker',
-                name: sticker.name,
-                format: sticker.format,
-                id: sticker.id
-            });
-        });
+    if (mediaType) {
+        const media = message.media || [];
+        if (mediaType === 'any' ? media.length === 0 : !media.some(item => item.type === mediaType)) return false;
     }
     
-    return stickers;
+    const content = String(message.content || '').toLowerCase();
+    return terms.every(term => content.includes(term));
 }
 
-// Function to trigger typing indicator in Discord
-async function triggerDiscordTyping(channelId) {
-    try {
-        let channel;
-        try {
-            // Try to fetch as a channel first
-            channel = await client.channels.fetch(channelId);
-        } catch (error) {
-            // If that fails, try to fetch as a user and create DM
-            const user = await client.users.fetch(channelId);
-            channel = await user.createDM();
+// In-memory store, for hosts without a writable disk (history is lost on restart)
+function createMemoryStore() {
+    const channelMessages = new Map(); // channelId -> Map(messageId -> message)
+    
+    function getChannelMap(channelId) {
+        if (!channelMessages.has(channelId)) {
+            channelMessages.set(channelId, new Map());
         }
-        
-        // Send typing indicator
-        await channel.sendTyping();
-        console.log('[BOT] Typing indicator sent to Discord');
-    } catch (error) {
-        console.error('[BOT] Error sending typing indicator:', error.message);
+        return channelMessages.get(channelId);
     }
-}
-
-// Listen for messages from Discord
-client.on('messageCreate', async (message) => {
-    try {
-        // Check if it's a DM with the specified user or a message in the specified channel
-        const isTargetDM = message.channel.type === 1 && 
-            (message.author.id === process.env.DISCORD_CHANNEL_ID || 
-             (message.channel.recipient && message.channel.recipient.id === process.env.DISCORD_CHANNEL_ID));
-        const isTargetChannel = message.channel.id === process.env.DISCORD_CHANNEL_ID;
+    
+    function getSorted(channelId) {
+        return Array.from(getChannelMap(channelId).values())
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    
+    // Cursors are message ids; ones we don't have are placed by the time in their snowflake
+    function getCursorTimestamp(channelId, messageId) {
+        const message = getChannelMap(channelId).get(messageId);
+        if (message) return message.timestamp;
+        return new Date(SnowflakeUtil.timestampFrom(messageId)).toISOString();
+    }
+    
+    return {
+        name: 'memory',
         
-        if (!isTargetDM && !isTargetChannel) return;
+        async init() {},
         
-        // Don't process messages from our own bot
-        if (message.author.id === process.env.DISCORD_BOT_CLIENT_ID) return;
+        async saveMessage(channelId, message) {
+            getChannelMap(channelId).set(message.id, message);
+        },
         
-        // Extract media URLs from message
-        const mediaUrls = [];
+        async deleteMessage(channelId, messageId) {
+            return getChannelMap(channelId).delete(messageId);
+        },
         
-        try {
-            // Check for attachments (images, files)
-            if (message.attachments.size > 0) {
-                message.attachments.forEach(attachment => {
-                    if (attachment.contentType && attachment.contentType.startsWith('image/')) {
-                        mediaUrls.push({
-                            url: attachment.url,
-                            type: 'image',
-                            filename: attachment.name
-                        });
-                    }
-                });
-            }
+        async getMessage(channelId, messageId) {
+            return getChannelMap(channelId).get(messageId) || null;
+        },
+        
+        async getMessages(channelId, { limit = config.maxMessages, before = null, after = null } = {}) {
+            let messages = getSorted(channelId);
             
-            // Check for embeds (links that Discord auto-embeds)
-            if (message.embeds.length > 0) {
-                message.embeds.forEach(embed => {
-                    if (embed.image) {
-                        mediaUrls.push({
-                            url: embed.image.url,
-                            type: 'image',
-                            filename: 'embedded_image'
-                        });
-                    }
-                    if (embed.thumbnail) {
-                        mediaUrls.push({
-                            url: embed.thumbnail.url,
-                            type: 'image',
-                            filename: 'thumbnail'
-                        });
-                    }
-                });
+            if (before) {
+                const beforeTime = getCursorTimestamp(channelId, before);
+                messages = messages.filter(msg => msg.timestamp < beforeTime);
             }
-            
-            // Check for URLs in message content that might be images
-            const urlRegex = /(https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp|bmp|svg))/gi;
-            const urlMatches = message.content.match(urlRegex);
-            if (urlMatches) {
-                urlMatches.forEach(url => {
-                    mediaUrls.push({
-                        url: url,
-                        type: 'image',
-                        filename: 'linked_image'
-                    });
-                });
+            if (after) {
+                const afterTime = getCursorTimestamp(channelId, after);
+                return messages.filter(msg => msg.timestamp > afterTime).slice(0, limit);
             }
             
-            // Parse emojis from message content
-            const emojis = parseEmojis(message.content);
-            mediaUrls.push(...emojis);
-            
-            // Parse stickers from message
-            const stickers = parseStickers(message);
-            mediaUrls.push(...stickers);
-        } catch (error) {
-            console.error('[BOT] Error processing message media:', error.message);
-        }
+            return messages.slice(-limit);
+        },
         
-        // Determine message source
-        let source = 'Discord';
-        let isBot = false;
+        async getLatestMessage(channelId) {
+            const sorted = getSorted(channelId);
+            return sorted.length > 0 ? sorted[sorted.length - 1] : null;
+        },
         
-        if (message.author.bot) {
-            isBot = true;
-            if (message.webhookId) {
-                source = 'Webhook';
-            } else {
-                source = 'Bot';
+        async search(channelId, filters) {
+            return getSorted(channelId).filter(message => matchesSearch(message, filters));
+        },
+        
+        getChannelIds() {
+            return Array.from(channelMessages.keys());
+        },
+        
+        async prune(cutoff) {
+            const cutoffString = cutoff.toISOString();
+            let removedCount = 0;
+            
+            for (const messageMap of channelMessages.values()) {
+                for (const [id, message] of messageMap) {
+                    if (message.timestamp < cutoffString) {
+                        messageMap.delete(id);
+                        removedCount++;
+                    }
+                }
             }
+            
+            return removedCount;
         }
+    };
+}
+
+// Append-only JSONL store: one file per channel, replayed into memory on startup
+// and rewritten (compacted) when old messages are pruned
+function createJsonlStore(directory) {
+    const memory = createMemoryStore();
+    const writeQueues = new Map(); // Serialise writes per file
+    
+    function getFilePath(channelId) {
+        return path.join(directory, `messages-${channelId.replace(/[^\w-]/g, '_')}.jsonl`);
+    }
+    
+    function enqueueWrite(channelId, task) {
+        const previous = writeQueues.get(channelId) || Promise.resolve();
+        const next = previous.then(task).catch(error => {
+            console.error(`[STORAGE] Error writing messages for ${channelId}:`, error.message);
+        });
+        writeQueues.set(channelId, next);
+        return next;
+    }
+    
+    async function compact(channelId) {
+        const messages = await memory.getMessages(channelId, { limit: Infinity });
+        const filePath = getFilePath(channelId);
+        const tempPath = `${filePath}.tmp`;
+        const lines = messages.map(message => JSON.stringify({ op: 'put', message }) + '\n').join('');
         
-        // Handle Discord replies
-        let replyTo = null;
-        if (message.reference && message.reference.messageId) {
-            try {
-                const referencedMessage = await message.channel.messages.fetch(message.reference.messageId);
-                if (referencedMessage) {
-                    let originalAuthor = referencedMessage.author.username;
-                    let originalContent = referencedMessage.content;
-                    
-                    // If replying to a bot message, extract the original web username
-                    if (referencedMessage.author.bot && referencedMessage.content.startsWith('**')) {
-                        const match = referencedMessage.content.match(/^\*\*([^*]+)\*\*: (.*)/);
-                        if (match) {
-                            originalAuthor = match[1]; // Extract web username
-                            originalContent = match[2]; // Extract actual message content
+        await fs.promises.writeFile(tempPath, lines);
+        await fs.promises.rename(tempPath, filePath);
+    }
+    
+    return {
+        name: 'jsonl',
+        
+        async init(channelIds) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            
+            // Threads are stored under their own ids, so load those files too
+            const storedIds = (await fs.promises.readdir(directory))
+                .map(file => file.match(/^messages-(\d+)\.jsonl$/))
+                .filter(Boolean)
+                .map(match => match[1]);
+            
+            for (const channelId of new Set([...channelIds, ...storedIds])) {
+                let data;
+                try {
+                    data = await fs.promises.readFile(getFilePath(channelId), 'utf8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') continue;
+                    throw error;
+                }
+                
+                let hasUnreadableLines = false;
+                data.split('\n').forEach((line, index) => {
+                    if (!line.trim()) return;
+                    try {
+                        const record = JSON.parse(line);
+                        if (record.op === 'put' && record.message) {
+                            memory.saveMessage(channelId, record.message);
+                        } else if (record.op === 'delete' && record.id) {
+                            memory.deleteMessage(channelId, record.id);
                         }
+                    } catch (error) {
+                        // A crash mid-write can leave a partial last line
+                        console.warn(`[STORAGE] Skipping unreadable line ${index + 1} for ${channelId}`);
+                        hasUnreadableLines = true;
                     }
-                    
-                    replyTo = {
-                        id: referencedMessage.id,
-                        author: originalAuthor,
-                        content: originalContent,
-                        timestamp: referencedMessage.createdAt.toISOString()
-                    };
+                });
+                
+                // Rewrite the file so new records don't get appended onto a partial line
+                if (hasUnreadableLines) {
+                    await enqueueWrite(channelId, () => compact(channelId));
+                }
+            }
+        },
+        
+        async saveMessage(channelId, message) {
+            await memory.saveMessage(channelId, message);
+            return enqueueWrite(channelId, () => 
+                fs.promises.appendFile(getFilePath(channelId), JSON.stringify({ op: 'put', message }) + '\n')
+            );
+        },
+        
+        async deleteMessage(channelId, messageId) {
+            const deleted = await memory.deleteMessage(channelId, messageId);
+            if (deleted) {
+                await enqueueWrite(channelId, () => 
+                    fs.promises.appendFile(getFilePath(channelId), JSON.stringify({ op: 'delete', id: messageId }) + '\n')
+                );
+            }
+            return deleted;
+        },
+        
+        getMessage: memory.getMessage,
+        getMessages: memory.getMessages,
+        getLatestMessage: memory.getLatestMessage,
+        search: memory.search,
+        getChannelIds: memory.getChannelIds,
+        
+        async prune(cutoff) {
+            const removedCount = await memory.prune(cutoff);
+            
+            if (removedCount > 0) {
+                for (const channelId of memory.getChannelIds()) {
+                    await enqueueWrite(channelId, () => compact(channelId));
                 }
+            }
+            
+            return removedCount;
+        }
+    };
+}
+
+function createMessageStore() {
+    if (STORAGE_DRIVER === 'jsonl') {
+        return createJsonlStore(STORAGE_DIR);
+    }
+    if (STORAGE_DRIVER !== 'memory') {
+        console.warn(`[STORAGE] Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", falling back to memory`);
+    }
+    return createMemoryStore();
+}
+
+const messageStore = createMessageStore();
+
+// Function to get the oldest timestamp we keep, or null to keep everything
+function getRetentionCutoff() {
+    if (!MESSAGE_RETENTION_DAYS || MESSAGE_RETENTION_DAYS <= 0) return null;
+    return new Date(Date.now() - MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Function to drop messages older than the retention window from the store and buffers
+async function pruneStoredMessages() {
+    try {
+        const cutoff = getRetentionCutoff();
+        if (!cutoff) return;
+        
+        const removedCount = await messageStore.prune(cutoff);
+        if (removedCount > 0) {
+            const cutoffString = cutoff.toISOString();
+            for (const state of channels.values()) {
+                state.messages = state.messages.filter(msg => msg.timestamp >= cutoffString);
+            }
+            console.log(`[STORAGE] Pruned ${removedCount} messages older than ${MESSAGE_RETENTION_DAYS} days`);
+        }
+    } catch (error) {
+        console.error('[STORAGE] Error pruning messages:', error.message);
+    }
+}
+
+// Load stored messages into the channel buffers before the bot starts backfilling
+let storageLoaded = false; // For /readyz
+const storageReady = (async () => {
+    try {
+        await messageStore.init(Array.from(channels.keys()));
+        await pruneStoredMessages();
+        
+        for (const state of channels.values()) {
+            state.messages = await messageStore.getMessages(state.id, { limit: config.maxMessages });
+        }
+        
+        console.log(`[STORAGE] Using ${messageStore.name} storage`);
+    } catch (error) {
+        console.error('[STORAGE] Error loading stored messages:', error.message);
+    } finally {
+        storageLoaded = true;
+    }
+})();
+
+setInterval(pruneStoredMessages, PRUNE_INTERVAL);
+
+// Bot presence management
+let lastApiRequest = Date.now();
+let isOnline = false;
+
+// Function to set the bot's status: online with the active text, or DND with the idle text
+async function setBotPresence(online) {
+    await bridge.setPresence(online, online ? config.presence.activeText : config.presence.idleText);
+    isOnline = online;
+}
+
+// Function to update bot presence
+async function updateBotPresence() {
+    try {
+        if (!bridge.isReady()) return;
+        
+        const now = Date.now();
+        const timeSinceLastRequest = now - lastApiRequest;
+        
+        if (timeSinceLastRequest < config.presence.timeout && !isOnline) {
+            await setBotPresence(true);
+            console.log('[BOT] Bot status set to online');
+            broadcastPresence();
+        } else if (timeSinceLastRequest >= config.presence.timeout && isOnline) {
+            await setBotPresence(false);
+            console.log('[BOT] Bot status set to DND');
+            broadcastPresence();
+        }
+    } catch (error) {
+        console.error('[BOT] Error updating bot presence:', error.message);
+    }
+}
+
+// Check presence every 10 seconds
+setInterval(updateBotPresence, 10000);
+
+// Function to get a channel's current typing users (excluding expired ones) as { name, source }
+function getActiveTypingUsers(state) {
+    const now = Date.now();
+    const activeTypingUsers = [];
+    
+    for (const [key, entry] of state.typingUsers.entries()) {
+        try {
+            if (now < entry.expiresAt) {
+                activeTypingUsers.push({ name: entry.name, source: entry.source });
+            } else {
+                state.typingUsers.delete(key);
+            }
+        } catch (error) {
+            console.error('[API] Error processing typing user:', error.message);
+            state.typingUsers.delete(key); // Remove problematic entry
+        }
+    }
+    
+    return activeTypingUsers;
+}
+
+// Function to mark someone as typing in a channel until their indicator expires
+// Web users are keyed by username, Discord users by "discord:<id>"
+function setTypingUser(state, key, name, source, timeout) {
+    state.typingUsers.set(key, { name, source, expiresAt: Date.now() + timeout });
+    broadcastTyping(state);
+    
+    setTimeout(() => {
+        const entry = state.typingUsers.get(key);
+        if (entry && Date.now() >= entry.expiresAt - 100) {
+            state.typingUsers.delete(key);
+            broadcastTyping(state);
+        }
+    }, timeout);
+}
+
+// Function to get the presence payload sent to web clients
+function getPresenceState() {
+    return {
+        status: isOnline ? 'online' : 'dnd',
+        activity: isOnline ? config.presence.activeText : config.presence.idleText,
+        webClients: streamClients.size
+    };
+}
+
+// Function to write a single event to a stream client
+function writeStreamEvent(res, event) {
+    try {
+        res.write(`id: ${STREAM_EPOCH}:${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    } catch (error) {
+        console.error('[STREAM] Error writing event:', error.message);
+    }
+}
+
+// Function to record an event and push it to all connected stream clients
+function broadcastEvent(type, data) {
+    const event = { seq: ++streamSeq, type, data };
+    
+    streamEvents.push(event);
+    if (streamEvents.length > MAX_STREAM_EVENTS) {
+        streamEvents = streamEvents.slice(-MAX_STREAM_EVENTS);
+    }
+    
+    for (const res of streamClients) {
+        writeStreamEvent(res, event);
+    }
+}
+
+function broadcastTyping(state) {
+    broadcastEvent('typing', { channel: state.id, typing: getActiveTypingUsers(state) });
+    sendIrcTyping(state);
+}
+
+function broadcastPresence() {
+    broadcastEvent('presence', getPresenceState());
+}
+
+function broadcastChannels() {
+    broadcastEvent('channels', { channels: getChannelList() });
+}
+
+function getSnapshot(state) {
+    return { channel: state.id, messages: state.messages, typing: getActiveTypingUsers(state) };
+}
+
+function broadcastSnapshot(state) {
+    broadcastEvent('snapshot', getSnapshot(state));
+}
+
+// Function to add a message to a channel's buffer and notify stream clients and IRC users (except origin, the sender)
+function addMessage(state, messageData, origin = null) {
+    state.messages.push(messageData);
+    
+    messageStore.saveMessage(state.id, messageData).catch(error => {
+        console.error('[STORAGE] Error saving message:', error.message);
+    });
+    
+    // Keep only the last maxMessages
+    if (state.messages.length > config.maxMessages) {
+        state.messages = state.messages.slice(-config.maxMessages);
+    }
+    
+    broadcastEvent('message', { channel: state.id, parent: state.parent ? state.parent.id : undefined, message: messageData });
+    deliverToIrc(state, messageData, origin);
+    
+    if (state.parent) {
+        state.lastMessageAt = messageData.timestamp;
+        updateThreadMarker(state);
+    }
+    
+    sendPushNotifications(state, messageData).catch(error => {
+        console.error('[PUSH] Error sending notifications:', error.message);
+    });
+}
+
+// Function to apply changes to a stored message and notify stream clients
+// Returns the updated message, or null if we never recorded it
+async function updateMessage(state, messageId, changes) {
+    const existing = await messageStore.getMessage(state.id, messageId);
+    if (!existing) return null;
+    
+    const updated = { ...existing, ...changes };
+    await messageStore.saveMessage(state.id, updated);
+    
+    const index = state.messages.findIndex(msg => msg.id === messageId);
+    if (index !== -1) {
+        state.messages[index] = updated;
+    }
+    
+    broadcastEvent('messageUpdate', { channel: state.id, message: updated });
+    return updated;
+}
+
+// Function to remove messages from the store and buffer and notify stream clients
+async function removeMessages(state, messageIds) {
+    const idSet = new Set(messageIds);
+    
+    for (const messageId of idSet) {
+        await messageStore.deleteMessage(state.id, messageId);
+    }
+    
+    state.messages = state.messages.filter(msg => !idSet.has(msg.id));
+    broadcastEvent('messageDelete', { channel: state.id, ids: Array.from(idSet) });
+}
+
+// Keep stream connections alive through proxies and count them as activity
+setInterval(() => {
+    if (streamClients.size === 0) return;
+    
+    lastApiRequest = Date.now();
+    for (const res of streamClients) {
+        try {
+            res.write(': ping\n\n');
+        } catch (error) {
+            console.error('[STREAM] Error sending heartbeat:', error.message);
+        }
+    }
+}, STREAM_HEARTBEAT_INTERVAL);
+
+// Rate limiting: token buckets per logged-in user (per browser session with the shared password, per IP
+// before login). A bucket holds `burst` requests and refills at `perMinute`, so short bursts go through while
+// the sustained rate stays capped. The numbers per route come from the runtime settings (rateLimits)
+let RATE_LIMITS = buildRateLimits(config.rateLimits);
+const RATE_LIMIT_CLEANUP_INTERVAL = 5 * 60 * 1000;
+const rateLimitBuckets = new Map(); // "<route>:<key>" -> { tokens, updatedAt }
+
+// Function to merge rate limit overrides into the defaults
+function buildRateLimits(overrides) {
+    const limits = {};
+    for (const [name, defaults] of Object.entries(RATE_LIMIT_DEFAULTS)) {
+        const override = overrides[name] || {};
+        limits[name] = {
+            burst: override.burst >= 1 ? override.burst : defaults.burst,
+            perMinute: override.perMinute > 0 ? override.perMinute : defaults.perMinute,
+            message: defaults.message
+        };
+    }
+    return limits;
+}
+
+// Function to pick whose bucket a request draws from
+// Per-user logins share one bucket across browsers; login attempts are counted per account name
+function getRateLimitKey(req) {
+    const session = getSession(req);
+    if (session) {
+        return session.username ? `user:${session.username.toLowerCase()}` : `session:${session.sid}`;
+    }
+    if (webUsers && req.body && typeof req.body.username === 'string' && req.body.username.trim()) {
+        return `login:${req.body.username.trim().toLowerCase()}`;
+    }
+    return `ip:${getRequestIp(req)}`;
+}
+
+// Function to create the rate limiting middleware for one route (its numbers can change at runtime)
+// Rejections are a 429 with Retry-After (seconds) and retryAfter (milliseconds) for the client's send queue
+function tokenBucketLimit(name) {
+    return (req, res, next) => {
+        const result = takeRateLimitToken(name, getRateLimitKey(req));
+        if (result.allowed) {
+            res.set('RateLimit-Remaining', String(result.remaining));
+            return next();
+        }
+        
+        res.set('Retry-After', String(Math.ceil(result.retryAfter / 1000)));
+        res.status(429).json({ error: result.message, retryAfter: result.retryAfter });
+    };
+}
+
+// Function to take a token from a bucket (also used by the IRC gateway)
+// Returns { allowed, remaining } or, when empty, { allowed: false, retryAfter (ms), message }
+function takeRateLimitToken(name, key) {
+    const limit = RATE_LIMITS[name];
+    const refillPerMs = limit.perMinute / 60000;
+    const bucketKey = `${name}:${key}`;
+    const now = Date.now();
+    const bucket = rateLimitBuckets.get(bucketKey) || { tokens: limit.burst, updatedAt: now };
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    rateLimitBuckets.set(bucketKey, bucket);
+    
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens) };
+    }
+    
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs), message: limit.message };
+}
+
+// Drop buckets that have refilled completely, they behave the same as no bucket at all
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of rateLimitBuckets.entries()) {
+        const limit = RATE_LIMITS[key.slice(0, key.indexOf(':'))];
+        if (bucket.tokens + (now - bucket.updatedAt) * limit.perMinute / 60000 >= limit.burst) {
+            rateLimitBuckets.delete(key);
+        }
+    }
+}, RATE_LIMIT_CLEANUP_INTERVAL);
+
+const passwordRateLimit = tokenBucketLimit('login');
+const sendRateLimit = tokenBucketLimit('send');
+const uploadRateLimit = tokenBucketLimit('upload');
+const editRateLimit = tokenBucketLimit('edit');
+const deleteRateLimit = tokenBucketLimit('delete');
+const reactRateLimit = tokenBucketLimit('react');
+const threadRateLimit = tokenBucketLimit('thread');
+const purgeRateLimit = tokenBucketLimit('purge');
+const typingRateLimit = tokenBucketLimit('typing');
+const pushRateLimit = tokenBucketLimit('push');
+const searchRateLimit = tokenBucketLimit('search');
+const exportRateLimit = tokenBucketLimit('export');
+
+// Discord's own limits: discord.js queues requests until a rate limit resets. Web writes that would wait
+// longer than DISCORD_RATE_LIMIT_WAIT fail fast instead, and the route answers 429 so the browser retries
+const DISCORD_RATE_LIMIT_WAIT = 3000;
+
+// Function to decide which Discord rate limits throw a RateLimitError instead of waiting
+function shouldRejectDiscordRateLimit(rateLimitData) {
+    return rateLimitData.method !== 'GET' &&
+        (rateLimitData.route.startsWith('/channels') || rateLimitData.route.startsWith('/webhooks')) &&
+        rateLimitData.timeToReset > DISCORD_RATE_LIMIT_WAIT;
+}
+
+// Function to answer 429 when Discord is rate limiting us; returns true when it handled the error
+function rejectDiscordRateLimit(res, error) {
+    if (!(error instanceof RateLimitError)) return false;
+    
+    const retryAfter = Math.max(error.retryAfter || error.timeToReset, 1000);
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    res.status(429).json({ error: 'Discord is rate limiting this channel, please wait a moment.', retryAfter: retryAfter, discord: true });
+    return true;
+}
+
+// Error an adapter throws for a request Discord (or the stand-in) can't carry out
+// status is the HTTP status routes answer with, details are extra response fields
+class BridgeError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Function to answer with a BridgeError's status; returns true when it handled the error
+function rejectBridgeError(res, error) {
+    if (!(error instanceof BridgeError)) return false;
+    
+    res.status(error.status).json({ error: error.message, ...error.details });
+    return true;
+}
+
+// Login sessions: a signed, expiring token in an HttpOnly cookie
+// Without SESSION_SECRET a random key is used and every restart logs everyone out
+const SESSION_COOKIE = 'chatSession';
+const SESSION_TTL = parseFloat(process.env.SESSION_TTL_HOURS || '168') * 60 * 60 * 1000; // 7 days
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_REVOCATIONS_FILE = path.join(STORAGE_DIR, 'revoked-sessions.json');
+const USERS_FILE = process.env.USERS_FILE ? path.resolve(process.env.USERS_FILE) : null;
+const DUMMY_PASSWORD_HASH = `scrypt:${'00'.repeat(16)}:${'00'.repeat(64)}`;
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('[AUTH] SESSION_SECRET is not set - sessions will not survive a restart');
+}
+
+// Per-user credentials ({"users": [{"username": "...", "password": "scrypt:<salt>:<hash>", "role": "moderator"}]})
+// When USERS_FILE is set, web users post under the name they logged in with instead of a free-form one.
+// The file is watched like CONFIG_FILE: edits apply without a restart, and an invalid file keeps the last good users
+const webUsers = loadWebUsers();
+if (!webUsers && !config.chatPassword) {
+    console.warn('[AUTH] Neither USERS_FILE nor CHAT_PASSWORD is set - nobody can log in');
+}
+if (USERS_FILE) {
+    fs.watchFile(USERS_FILE, { interval: CONFIG_WATCH_INTERVAL }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) reloadWebUsers();
+    });
+}
+
+// Revoked session ids (until they expire) and per-user "logged out everywhere" times
+const sessionRevocations = loadSessionRevocations();
+
+// Function to load the per-user credentials file, keyed by lowercase username
+function loadWebUsers() {
+    if (!USERS_FILE) return null;
+    
+    try {
+        return readWebUsersFile();
+    } catch (error) {
+        // Fail closed: a broken users file must not fall back to the shared password
+        console.error('[AUTH] Error loading users file:', error.message);
+        return new Map();
+    }
+}
+
+// Function to read and check the users file (throws when it can't be read or parsed)
+function readWebUsersFile() {
+    const users = new Map();
+    const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+    (data.users || []).forEach(user => {
+        if (!user || typeof user.username !== 'string' || typeof user.password !== 'string') {
+            console.warn('[AUTH] Skipping user entry without a username and password');
+            return;
+        }
+        if (!user.password.startsWith('scrypt:')) {
+            console.warn(`[AUTH] Password for ${user.username} is stored in plain text`);
+        }
+        users.set(user.username.toLowerCase(), {
+            username: user.username,
+            password: user.password,
+            role: user.role === 'moderator' || user.role === 'admin' ? user.role : 'user'
+        });
+    });
+    console.log(`[AUTH] Loaded ${users.size} users from ${USERS_FILE}`);
+    return users;
+}
+
+// Function to apply an edited users file: new roles and passwords count from the next request,
+// and users who were removed are logged out (streams and IRC connections included)
+function reloadWebUsers() {
+    let users;
+    try {
+        users = readWebUsersFile();
+    } catch (error) {
+        console.error('[AUTH] Error reloading users file, keeping the current users:', error.message);
+        return;
+    }
+    
+    webUsers.clear();
+    users.forEach((user, key) => webUsers.set(key, user));
+    
+    for (const res of streamClients) {
+        if (!isSessionActive(res.locals.session)) {
+            res.end();
+            streamClients.delete(res);
+        }
+    }
+    closeEndedIrcConnections();
+    broadcastPresence();
+}
+
+// Function to load revoked sessions (only kept on disk with the jsonl storage driver)
+function loadSessionRevocations() {
+    const revocations = { sessions: {}, users: {} };
+    if (STORAGE_DRIVER !== 'jsonl') return revocations;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(SESSION_REVOCATIONS_FILE, 'utf8'));
+        Object.assign(revocations.sessions, data.sessions);
+        Object.assign(revocations.users, data.users);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[AUTH] Error loading revoked sessions:', error.message);
+        }
+    }
+    return revocations;
+}
+
+// Function to save revoked sessions, dropping entries for tokens that have expired anyway
+async function saveSessionRevocations() {
+    const now = Date.now();
+    for (const [sid, expiresAt] of Object.entries(sessionRevocations.sessions)) {
+        if (expiresAt <= now) delete sessionRevocations.sessions[sid];
+    }
+    for (const [username, revokedAt] of Object.entries(sessionRevocations.users)) {
+        if (revokedAt + SESSION_TTL <= now) delete sessionRevocations.users[username];
+    }
+    
+    if (STORAGE_DRIVER !== 'jsonl') return;
+    
+    try {
+        await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+        await fs.promises.writeFile(SESSION_REVOCATIONS_FILE, JSON.stringify(sessionRevocations));
+    } catch (error) {
+        console.error('[AUTH] Error saving revoked sessions:', error.message);
+    }
+}
+
+// Function to compare secrets in constant time (hashing first so lengths always match)
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Function to check a password against a stored "scrypt:<salt>:<hash>" or plain text value
+function verifyPassword(stored, password) {
+    if (stored.startsWith('scrypt:')) {
+        const [, salt, hash] = stored.split(':');
+        const expected = Buffer.from(hash || '', 'hex');
+        if (!salt || expected.length === 0) return false;
+        const actual = crypto.scryptSync(String(password), salt, expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+    return safeEqual(stored, password);
+}
+
+// Function to hash a password into the "scrypt:<salt>:<hash>" form verifyPassword accepts
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+// Function to check login credentials, returns { username, role } or null
+// With the shared password the username is '' and the moderator and admin passwords grant those roles
+function checkCredentials(username, password) {
+    if (typeof password !== 'string' || !password) return null;
+    
+    if (webUsers) {
+        const user = typeof username === 'string' ? webUsers.get(username.trim().toLowerCase()) : null;
+        // Still hash unknown usernames so response times don't reveal which names exist
+        const valid = verifyPassword(user ? user.password : DUMMY_PASSWORD_HASH, password);
+        return user && valid ? { username: user.username, role: user.role } : null;
+    }
+    
+    // Compare against all of them so timing doesn't reveal which one matched
+    const isAdmin = Boolean(config.adminPassword) && verifyPassword(config.adminPassword, password);
+    const isModerator = Boolean(config.moderatorPassword) && verifyPassword(config.moderatorPassword, password);
+    const isUser = Boolean(config.chatPassword) && verifyPassword(config.chatPassword, password);
+    if (isAdmin) return { username: '', role: 'admin' };
+    if (isModerator) return { username: '', role: 'moderator' };
+    return isUser ? { username: '', role: 'user' } : null;
+}
+
+// Function to sign session data into a "<payload>.<signature>" token
+function signSessionToken(data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+// Function to create the session data for a logged-in user (IRC connections keep it without a cookie)
+function newSession(credentials) {
+    const now = Date.now();
+    return {
+        sid: crypto.randomBytes(16).toString('hex'),
+        username: credentials.username,
+        role: credentials.role,
+        iat: now,
+        exp: now + SESSION_TTL
+    };
+}
+
+// Function to create a session for a logged-in user and set the cookie
+function createSession(req, res, credentials) {
+    const session = newSession(credentials);
+    
+    res.cookie(SESSION_COOKIE, signSessionToken(session), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: SESSION_TTL,
+        path: '/'
+    });
+    return session;
+}
+
+// Function to read cookies without pulling in cookie-parser
+function getCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
             } catch (error) {
-                console.log('[BOT] Could not fetch referenced message:', error.message);
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+// Function to get the valid, unrevoked session behind a request (or null)
+function getSession(req) {
+    const token = getCookie(req, SESSION_COOKIE);
+    if (!token) return null;
+    
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    
+    if (!isSessionActive(session)) return null;
+    
+    if (webUsers) {
+        // Role changes in the users file apply from the next request (see reloadWebUsers)
+        session.role = webUsers.get(String(session.username).toLowerCase()).role;
+    }
+    
+    return session;
+}
+
+// Function to check that session data hasn't expired or been revoked (also used for push subscriptions)
+function isSessionActive(session) {
+    if (!session || typeof session.sid !== 'string' || !(session.exp > Date.now())) return false;
+    if (sessionRevocations.sessions[session.sid]) return false;
+    
+    if (webUsers) {
+        // Users removed from the file lose their sessions
+        const user = webUsers.get(String(session.username).toLowerCase());
+        if (!user) return false;
+        const revokedAt = sessionRevocations.users[user.username];
+        if (revokedAt && session.iat <= revokedAt) return false;
+    }
+    
+    return true;
+}
+
+// Middleware for routes that need a logged-in web user who isn't banned
+function requireSession(req, res, next) {
+    const session = getSession(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+    
+    const ban = findRestriction(['ban'], session.username, getRequestIp(req));
+    if (ban) {
+        return res.status(403).json({ error: 'You are banned from this chat', until: ban.expiresAt });
+    }
+    
+    req.session = session;
+    next();
+}
+
+// Function to check for moderator tools, which admins have as well
+function isModeratorRole(role) {
+    return role === 'moderator' || role === 'admin';
+}
+
+// Middleware for moderator-only routes (after requireSession)
+function requireModerator(req, res, next) {
+    if (!isModeratorRole(req.session.role)) {
+        return res.status(403).json({ error: 'Moderator access required' });
+    }
+    next();
+}
+
+// Middleware for admin-only routes such as the bridge settings (after requireSession)
+function requireAdmin(req, res, next) {
+    if (req.session.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// Function to get the name a web user posts under
+// Per-user logins are fixed to the account; the shared password keeps the free-form username field
+function getWebUsername(req) {
+    if (webUsers) {
+        return req.session.username;
+    }
+    const requested = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    return requested || req.session.username || config.defaultUsername;
+}
+
+// Function to get the tag stored on web messages to tell which login sent them
+// Messages go to every client, so it's a keyed hash of the session id rather than the id itself
+function getSessionTag(session) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(`message:${session.sid}`).digest('base64url').substring(0, 22);
+}
+
+// Function to revoke one session, or every session of its user, and close their streams
+async function revokeSession(session, everywhere) {
+    if (everywhere && session.username) {
+        sessionRevocations.users[session.username] = Date.now();
+    } else {
+        sessionRevocations.sessions[session.sid] = session.exp;
+    }
+    await saveSessionRevocations();
+    
+    for (const res of streamClients) {
+        const streamSession = res.locals.session;
+        const matches = everywhere && session.username
+            ? streamSession.username === session.username
+            : streamSession.sid === session.sid;
+        if (matches) {
+            res.end();
+            streamClients.delete(res);
+        }
+    }
+    closeEndedIrcConnections();
+    broadcastPresence();
+}
+
+// Moderation: bans and mutes for web users, read-only channel locks, plus an audit log of every moderator action
+// All of it lives in STORAGE_DIR with the jsonl driver and in memory otherwise
+const MODERATION_FILE = path.join(STORAGE_DIR, 'moderation.json');
+const AUDIT_LOG_FILE = path.join(STORAGE_DIR, 'audit.jsonl');
+const MAX_MEMORY_AUDIT_ENTRIES = 1000;
+const MAX_PURGE_MESSAGES = 500;
+const MAX_PURGE_SCAN = 2000; // Messages looked at per purge when filtering by author or time
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000; // Discord only bulk-deletes messages newer than 14 days
+const RECENT_WEB_USERS_MAX = 100;
+const moderationState = loadModerationState();
+let restrictions = moderationState.restrictions;
+const lockedChannels = new Set(moderationState.lockedChannels); // Channel ids where web users can only read
+let memoryAuditLog = [];
+const recentWebUsers = new Map(); // Lowercase username -> { username, ip, lastSeen }, so moderators can find IPs
+
+// Function to load bans, mutes and channel locks
+function loadModerationState() {
+    const empty = { restrictions: [], lockedChannels: [] };
+    if (STORAGE_DRIVER !== 'jsonl') return empty;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(MODERATION_FILE, 'utf8'));
+        return {
+            restrictions: Array.isArray(data.restrictions) ? data.restrictions : [],
+            lockedChannels: Array.isArray(data.lockedChannels) ? data.lockedChannels : []
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[MOD] Error loading moderation file:', error.message);
+        }
+        return empty;
+    }
+}
+
+// Function to save bans, mutes and channel locks, dropping expired restrictions
+async function saveRestrictions() {
+    const now = Date.now();
+    restrictions = restrictions.filter(restriction => !restriction.expiresAt || restriction.expiresAt > now);
+    
+    if (STORAGE_DRIVER !== 'jsonl') return;
+    
+    try {
+        await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+        await fs.promises.writeFile(MODERATION_FILE, JSON.stringify({ restrictions, lockedChannels: Array.from(lockedChannels) }, null, 2));
+    } catch (error) {
+        console.error('[MOD] Error saving moderation file:', error.message);
+    }
+}
+
+// Function to get the client IP, with IPv4-mapped IPv6 addresses ("::ffff:1.2.3.4") shortened
+function getRequestIp(req) {
+    return normalizeIp(req.ip || req.socket?.remoteAddress || '');
+}
+
+function normalizeIp(ip) {
+    return String(ip).trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+// Function to get the name moderation actions are logged under (the body username is a ban target there)
+function getModeratorName(req) {
+    return req.session.username || req.session.role;
+}
+
+// Function to find an active ban or mute for a web username or IP
+function findRestriction(actions, username, ip) {
+    const now = Date.now();
+    const name = username ? String(username).toLowerCase() : null;
+    
+    return restrictions.find(restriction =>
+        actions.includes(restriction.action) &&
+        (!restriction.expiresAt || restriction.expiresAt > now) &&
+        ((restriction.username && restriction.username.toLowerCase() === name) ||
+         (restriction.ip && restriction.ip === ip))
+    ) || null;
+}
+
+// Function to stop banned or muted users from posting; sends the 403 itself and returns true when blocked
+// With the shared password the username is free-form, so it's checked per request as well as on the session
+function rejectRestricted(req, res, username) {
+    const restriction = findRestriction(['ban', 'mute'], username, getRequestIp(req));
+    if (!restriction) return false;
+    
+    const error = restriction.action === 'ban' ? 'You are banned from this chat' : 'You are muted';
+    res.status(403).json({ error: error, until: restriction.expiresAt });
+    return true;
+}
+
+// Function to check whether a channel (or its thread) is read-only for a web user's role
+function isLockedFor(state, role) {
+    const channelId = state.parent ? state.parent.id : state.id;
+    return lockedChannels.has(channelId) && !isModeratorRole(role);
+}
+
+// Function to stop web users posting in a channel locked from Discord; moderators can still post
+// Sends the 403 itself and returns true when blocked
+function rejectLocked(req, res, state) {
+    if (!isLockedFor(state, req.session.role)) return false;
+    
+    res.status(403).json({ error: 'This chat is read-only right now' });
+    return true;
+}
+
+// Function to remember which IP a web username last posted from
+function trackWebUser(req, username) {
+    rememberWebUser(username, getRequestIp(req));
+}
+
+function rememberWebUser(username, ip) {
+    recentWebUsers.delete(username.toLowerCase());
+    recentWebUsers.set(username.toLowerCase(), { username: username, ip: ip, lastSeen: new Date().toISOString() });
+    
+    if (recentWebUsers.size > RECENT_WEB_USERS_MAX) {
+        recentWebUsers.delete(recentWebUsers.keys().next().value);
+    }
+}
+
+// Function to write a web moderator's action to the audit log
+function recordAudit(req, action, details) {
+    return writeAuditEntry({ moderator: getModeratorName(req), ip: getRequestIp(req) }, action, details);
+}
+
+// Function to append an audit entry; actor is { moderator, ip } (ip is null for actions taken in Discord)
+async function writeAuditEntry(actor, action, details) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        action: action,
+        moderator: actor.moderator,
+        ip: actor.ip,
+        details: details
+    };
+    
+    console.log(`[AUDIT] ${entry.timestamp} | ${entry.moderator} | ${action} | ${JSON.stringify(details)}`);
+    
+    if (STORAGE_DRIVER !== 'jsonl') {
+        memoryAuditLog.push(entry);
+        if (memoryAuditLog.length > MAX_MEMORY_AUDIT_ENTRIES) {
+            memoryAuditLog = memoryAuditLog.slice(-MAX_MEMORY_AUDIT_ENTRIES);
+        }
+        return entry;
+    }
+    
+    try {
+        await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+        await fs.promises.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('[AUDIT] Error writing audit log:', error.message);
+    }
+    return entry;
+}
+
+// Function to query the audit log, newest first
+async function queryAudit({ action, moderator, since, until, limit }) {
+    let entries = memoryAuditLog;
+    
+    if (STORAGE_DRIVER === 'jsonl') {
+        let content = '';
+        try {
+            content = await fs.promises.readFile(AUDIT_LOG_FILE, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        entries = [];
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Skip a partially written last line
+            }
+        });
+    }
+    
+    const sinceTime = since ? Date.parse(since) : NaN;
+    const untilTime = until ? Date.parse(until) : NaN;
+    
+    return entries
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !moderator || String(entry.moderator).toLowerCase() === moderator.toLowerCase())
+        .filter(entry => isNaN(sinceTime) || Date.parse(entry.timestamp) >= sinceTime)
+        .filter(entry => isNaN(untilTime) || Date.parse(entry.timestamp) <= untilTime)
+        .reverse()
+        .slice(0, limit);
+}
+
+// Function to end open streams of a banned user or IP
+function closeRestrictedStreams(restriction) {
+    const name = restriction.username ? restriction.username.toLowerCase() : null;
+    
+    for (const res of streamClients) {
+        const streamName = res.locals.session.username ? res.locals.session.username.toLowerCase() : null;
+        if ((name && streamName === name) || (restriction.ip && res.locals.ip === restriction.ip)) {
+            res.end();
+            streamClients.delete(res);
+        }
+    }
+    closeEndedIrcConnections();
+    broadcastPresence();
+}
+
+// Push notifications: browsers subscribe through the service worker (public/sw.js) and get Web Push alerts
+// for mentions of their web username and their highlight keywords, even with the tab closed
+// VAPID keys come from the environment, or are generated once and kept in STORAGE_DIR with the jsonl driver
+const PUSH_SUBSCRIPTIONS_FILE = path.join(STORAGE_DIR, 'push-subscriptions.json');
+const VAPID_KEYS_FILE = path.join(STORAGE_DIR, 'vapid-keys.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:webchat@localhost'; // Contact for push services
+const MAX_PUSH_SUBSCRIPTIONS = 500;
+const MAX_HIGHLIGHT_KEYWORDS = 20;
+const PUSH_TTL = 60 * 60; // Seconds a push service keeps trying to reach an offline browser
+const PUSH_BODY_LENGTH = 200;
+// The server POSTs to subscription endpoints, so only the browsers' push services are accepted
+// (an arbitrary URL would let any chat user make the server call internal hosts). Subdomains count too
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'android.googleapis.com', 'updates.push.services.mozilla.com', 'push.apple.com', 'notify.windows.com'];
+const vapidKeys = loadVapidKeys();
+const pushEnabled = configureWebPush();
+const pushSubscriptions = loadPushSubscriptions(); // Endpoint -> { subscription, session, ip, preferences }
+
+// Function to get the VAPID key pair that identifies this server to push services
+function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+    
+    if (STORAGE_DRIVER !== 'jsonl') {
+        console.warn('[PUSH] VAPID keys are not set - push subscriptions will not survive a restart');
+        return webpush.generateVAPIDKeys();
+    }
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(VAPID_KEYS_FILE, 'utf8'));
+        if (data.publicKey && data.privateKey) return data;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PUSH] Error loading VAPID keys:', error.message);
+        }
+    }
+    
+    const keys = webpush.generateVAPIDKeys();
+    try {
+        fs.mkdirSync(STORAGE_DIR, { recursive: true });
+        fs.writeFileSync(VAPID_KEYS_FILE, JSON.stringify(keys), { mode: 0o600 });
+        console.log(`[PUSH] Generated VAPID keys in ${VAPID_KEYS_FILE}`);
+    } catch (error) {
+        console.error('[PUSH] Error saving VAPID keys:', error.message);
+    }
+    return keys;
+}
+
+// Function to hand the VAPID details to web-push, returns false when they are unusable
+function configureWebPush() {
+    try {
+        webpush.setVapidDetails(VAPID_SUBJECT, vapidKeys.publicKey, vapidKeys.privateKey);
+        return true;
+    } catch (error) {
+        console.error('[PUSH] Push notifications disabled:', error.message);
+        return false;
+    }
+}
+
+// Function to check that a push subscription endpoint belongs to a known push service
+function isPushServiceEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+    
+    const host = url.hostname.toLowerCase();
+    return PUSH_SERVICE_HOSTS.some(service => host === service || host.endsWith(`.${service}`));
+}
+
+// Function to load push subscriptions (only kept on disk with the jsonl storage driver)
+function loadPushSubscriptions() {
+    const subscriptions = new Map();
+    if (STORAGE_DRIVER !== 'jsonl') return subscriptions;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(PUSH_SUBSCRIPTIONS_FILE, 'utf8'));
+        (Array.isArray(data) ? data : []).forEach(entry => {
+            if (entry && entry.subscription && isPushServiceEndpoint(entry.subscription.endpoint)) {
+                subscriptions.set(entry.subscription.endpoint, entry);
+            }
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PUSH] Error loading push subscriptions:', error.message);
+        }
+    }
+    return subscriptions;
+}
+
+// Function to save push subscriptions
+async function savePushSubscriptions() {
+    if (STORAGE_DRIVER !== 'jsonl') return;
+    
+    try {
+        await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+        await fs.promises.writeFile(PUSH_SUBSCRIPTIONS_FILE, JSON.stringify(Array.from(pushSubscriptions.values())), { mode: 0o600 });
+    } catch (error) {
+        console.error('[PUSH] Error saving push subscriptions:', error.message);
+    }
+}
+
+// Function to read notification preferences from a subscribe request
+// Quiet hours are "HH:MM" times in the browser's time zone; a start after the end spans midnight
+function parsePushPreferences(req) {
+    const { keywords, quietHours, timeZone } = req.body;
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    
+    let zone = 'UTC';
+    if (typeof timeZone === 'string') {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: timeZone });
+            zone = timeZone;
+        } catch (error) {
+            // Unknown zone, keep UTC
+        }
+    }
+    
+    return {
+        username: getWebUsername(req),
+        keywords: (Array.isArray(keywords) ? keywords : [])
+            .filter(keyword => typeof keyword === 'string' && keyword.trim())
+            .map(keyword => keyword.trim().toLowerCase().slice(0, 50))
+            .slice(0, MAX_HIGHLIGHT_KEYWORDS),
+        quietHours: quietHours && time.test(quietHours.start) && time.test(quietHours.end)
+            ? { start: quietHours.start, end: quietHours.end }
+            : null,
+        timeZone: zone
+    };
+}
+
+// Function to check whether a time falls inside quiet hours in the given time zone
+function isInQuietHours(quietHours, timeZone, date) {
+    const now = new Intl.DateTimeFormat('en-GB', { timeZone: timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+    if (quietHours.start <= quietHours.end) {
+        return now >= quietHours.start && now < quietHours.end;
+    }
+    return now >= quietHours.start || now < quietHours.end;
+}
+
+// Function to check whether text contains a word or phrase, not just as part of a longer word
+function containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}_])@?${escaped}($|[^\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+// Function to tell why a message should alert a web user: 'mention' (their name or a reply to them),
+// 'keyword' (one of their highlight keywords) or null. The web client applies the same rules
+function getHighlightReason(message, username, keywords) {
+    const content = formatMentionsPlain(message.content || '', message.mentions);
+    const name = username.toLowerCase();
+    
+    if (name && message.author && message.author.toLowerCase() === name) return null; // Their own message
+    const replyAuthor = message.replyTo && typeof message.replyTo.author === 'string' ? message.replyTo.author.toLowerCase() : null;
+    if (name && (containsWord(content, name) || replyAuthor === name)) {
+        return 'mention';
+    }
+    return keywords.some(keyword => containsWord(content, keyword)) ? 'keyword' : null;
+}
+
+// Function to send Web Push alerts for a new message to every subscriber it mentions or highlights
+async function sendPushNotifications(state, message) {
+    if (!pushEnabled || pushSubscriptions.size === 0) return;
+    
+    const now = new Date();
+    const channelState = state.parent || state;
+    let changed = false;
+    
+    await Promise.all(Array.from(pushSubscriptions.values()).map(async entry => {
+        const { username, keywords, quietHours, timeZone } = entry.preferences;
+        
+        // Logged out, expired and banned browsers stop getting pushes
+        if (!isSessionActive(entry.session) || findRestriction(['ban'], username, entry.ip)) {
+            pushSubscriptions.delete(entry.subscription.endpoint);
+            changed = true;
+            return;
+        }
+        
+        const reason = getHighlightReason(message, username, keywords);
+        if (!reason || (quietHours && isInQuietHours(quietHours, timeZone, now))) return;
+        
+        const body = formatMentionsPlain(message.content || '', message.mentions).replace(/<a?:(\w+):\d+>/g, ':$1:') || '(attachment)';
+        const payload = {
+            title: reason === 'mention' ? `${message.author} mentioned you in ${state.name}` : `${message.author} in ${state.name}`,
+            body: body.length > PUSH_BODY_LENGTH ? body.slice(0, PUSH_BODY_LENGTH - 3) + '...' : body,
+            channel: channelState.id,
+            thread: state.parent ? state.id : null,
+            messageId: message.id
+        };
+        
+        try {
+            await webpush.sendNotification(entry.subscription, JSON.stringify(payload), { TTL: PUSH_TTL });
+        } catch (error) {
+            // 404 and 410 mean the browser dropped the subscription; anything else isn't retried either
+            if (error.statusCode !== 404 && error.statusCode !== 410) {
+                console.warn('[PUSH] Dropping subscription after a failed notification:', error.message);
+            }
+            pushSubscriptions.delete(entry.subscription.endpoint);
+            changed = true;
+        }
+    }));
+    
+    if (changed) {
+        await savePushSubscriptions();
+    }
+}
+
+// Transcript export
+// Each format renders { channel, since, until, exportedAt, messages } into a downloadable file
+const EXPORT_FORMATS = {
+    json: { extension: 'json', contentType: 'application/json', render: renderJsonTranscript },
+    html: { extension: 'html', contentType: 'text/html', render: renderHtmlTranscript },
+    md: { extension: 'md', contentType: 'text/markdown', render: renderMarkdownTranscript },
+    csv: { extension: 'csv', contentType: 'text/csv', render: renderCsvTranscript }
+};
+
+// Function to escape text for HTML output
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Function to replace Discord mention and timestamp tokens with readable text
+// Custom emojis are left as <:name:id> for the HTML export to render as images
+function formatMentionsPlain(content, mentions) {
+    const { users = {}, channels: mentionedChannels = {}, roles = {} } = mentions || {};
+    
+    return String(content || '')
+        .replace(/<@!?(\d+)>/g, (match, id) => `@${users[id] ? users[id].name : 'unknown-user'}`)
+        .replace(/<@&(\d+)>/g, (match, id) => `@${roles[id] ? roles[id].name : 'unknown-role'}`)
+        .replace(/<#(\d+)>/g, (match, id) => `#${mentionedChannels[id] ? mentionedChannels[id].name : 'unknown-channel'}`)
+        .replace(/<t:(-?\d+)(?::[tTdDfFR])?>/g, (match, seconds) => new Date(parseInt(seconds, 10) * 1000).toISOString());
+}
+
+// Function to list a message's media other than custom emojis (those are part of the content)
+function getExportMedia(message) {
+    return (message.media || []).filter(item => item.type !== 'emoji');
+}
+
+// Function to format a timestamp for transcript headings (UTC, to the minute)
+function formatExportTime(timestamp) {
+    return timestamp.replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function renderJsonTranscript(transcript) {
+    return JSON.stringify({
+        channel: transcript.channel,
+        exportedAt: transcript.exportedAt,
+        since: transcript.since,
+        until: transcript.until,
+        messageCount: transcript.messages.length,
+        messages: transcript.messages
+    }, null, 2);
+}
+
+function renderMarkdownTranscript(transcript) {
+    const lines = [
+        `# ${transcript.channel.name}`,
+        '',
+        `Exported ${formatExportTime(transcript.exportedAt)}` +
+            `${transcript.since ? ` · from ${formatExportTime(transcript.since)}` : ''}` +
+            `${transcript.until ? ` · until ${formatExportTime(transcript.until)}` : ''}` +
+            ` · ${transcript.messages.length} messages`,
+        ''
+    ];
+    
+    for (const message of transcript.messages) {
+        lines.push(`**${message.author}** (${message.source}) — ${formatExportTime(message.timestamp)}${message.editedAt ? ' (edited)' : ''}`);
+        if (message.replyTo) {
+            const replyContent = formatMentionsPlain(message.replyTo.content, message.mentions).replace(/\s+/g, ' ').slice(0, 100);
+            lines.push(`> ↪ **${message.replyTo.author}**: ${replyContent}`);
+        }
+        const content = formatMentionsPlain(message.content, message.mentions);
+        if (content) {
+            lines.push(content);
+        }
+        for (const item of getExportMedia(message)) {
+            lines.push(`- [${item.name || item.filename || item.type}](${item.url})`);
+        }
+        for (const embed of message.embeds || []) {
+            const title = embed.title || (embed.author && embed.author.name) || (embed.provider && embed.provider.name);
+            if (title) {
+                lines.push(`> ${embed.url ? `[${title}](${embed.url})` : `**${title}**`}`);
+            }
+            if (embed.description) {
+                lines.push(...formatMentionsPlain(embed.description, message.mentions).split('\n').map(line => `> ${line}`));
+            }
+            for (const field of embed.fields || []) {
+                lines.push(`> **${field.name}**: ${formatMentionsPlain(field.value, message.mentions).replace(/\n/g, ' ')}`);
+            }
+        }
+        if (message.reactions && message.reactions.length > 0) {
+            lines.push(message.reactions.map(reaction => `${reaction.id ? `:${reaction.name}:` : reaction.name} ${reaction.count}`).join('  '));
+        }
+        lines.push('');
+    }
+    
+    return lines.join('\n');
+}
+
+// Function to quote a CSV field, neutralising spreadsheet formulas
+function escapeCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsvTranscript(transcript) {
+    const header = ['id', 'timestamp', 'author', 'source', 'content', 'reply_to_id', 'reply_to_author', 'media', 'edited_at', 'reactions'];
+    const rows = transcript.messages.map(message => [
+        message.id,
+        message.timestamp,
+        message.author,
+        message.source,
+        formatMentionsPlain(message.content, message.mentions),
+        message.replyTo ? message.replyTo.id : '',
+        message.replyTo ? message.replyTo.author : '',
+        getExportMedia(message).map(item => item.url).join(' '),
+        message.editedAt || '',
+        (message.reactions || []).map(reaction => `${reaction.name} ${reaction.count}`).join(' ')
+    ]);
+    
+    return [header, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Function to render message text for the HTML export (links, line breaks and custom emojis)
+function renderHtmlContent(content, mentions) {
+    return escapeHtml(formatMentionsPlain(content, mentions))
+        .replace(/https?:\/\/(?:(?!&lt;|&gt;|&quot;|&#39;)[^\s<"])+/g, url => `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`)
+        .replace(/&lt;(a?):(\w+):(\d+)&gt;/g, (match, animated, name, id) =>
+            `<img class="emoji" src="${getEmojiUrl(id, Boolean(animated))}" alt=":${name}:" title=":${name}:">`)
+        .replace(/\n/g, '<br>');
+}
+
+// Function to render a media item for the HTML export (images, video and audio inline, everything else as a link)
+function renderHtmlMedia(item) {
+    const url = escapeHtml(item.url);
+    const label = escapeHtml(item.name || item.filename || item.type);
+    
+    if (item.type === 'image' || (item.type === 'sticker' && item.format !== 'Lottie')) {
+        return `<a href="${url}" target="_blank" rel="noopener noreferrer"><img class="${item.type === 'sticker' ? 'sticker' : 'embedded-image'}" src="${url}" alt="${label}" loading="lazy"></a>`;
+    }
+    if (item.type === 'video') {
+        return `<video class="embedded-video" src="${url}" controls preload="metadata"></video>`;
+    }
+    if (item.type === 'audio') {
+        return `<audio src="${url}" controls preload="metadata" title="${label}"></audio>`;
+    }
+    return `<a class="attachment" href="${url}" target="_blank" rel="noopener noreferrer">📎 ${label}</a>`;
+}
+
+// Function to render an embed card for the HTML export
+function renderHtmlEmbed(embed, mentions) {
+    const link = (url, html) => url && /^https?:\/\//.test(url) ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${html}</a>` : html;
+    const color = /^#[0-9a-f]{6}$/i.test(embed.color || '') ? ` style="border-left-color: ${embed.color};"` : '';
+    const image = embed.image || embed.thumbnail;
+    
+    return `<div class="embed"${color}>` +
+        (embed.author && embed.author.name ? `<div class="embed-author">${link(embed.author.url, escapeHtml(embed.author.name))}</div>` : '') +
+        (embed.title ? `<div class="embed-title">${link(embed.url, escapeHtml(embed.title))}</div>` : '') +
+        (embed.description ? `<div>${renderHtmlContent(embed.description, mentions)}</div>` : '') +
+        (embed.fields || []).map(field => `<div class="embed-field"><strong>${escapeHtml(field.name)}</strong><br>${renderHtmlContent(field.value, mentions)}</div>`).join('') +
+        (image ? `<img class="embedded-image" src="${escapeHtml(image.url)}" alt="" loading="lazy">` : '') +
+        (embed.footer ? `<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>` : '') +
+        '</div>';
+}
+
+function renderHtmlTranscript(transcript) {
+    const range = [
+        transcript.since ? `from ${formatExportTime(transcript.since)}` : '',
+        transcript.until ? `until ${formatExportTime(transcript.until)}` : ''
+    ].filter(Boolean).join(' ');
+    
+    const messages = transcript.messages.map(message => {
+        const reply = message.replyTo ? `
+            <div class="reply-reference">
+                <span class="reply-author">↪ ${escapeHtml(message.replyTo.author)}</span>
+                <span class="reply-content">${escapeHtml(formatMentionsPlain(message.replyTo.content, message.mentions).slice(0, 200))}</span>
+            </div>` : '';
+        const media = getExportMedia(message).map(renderHtmlMedia).join('') +
+            (message.embeds || []).map(embed => renderHtmlEmbed(embed, message.mentions)).join('');
+        const reactions = (message.reactions || []).map(reaction => `<span class="reaction">${reaction.url
+            ? `<img class="emoji" src="${escapeHtml(reaction.url)}" alt=":${escapeHtml(reaction.name)}:">`
+            : escapeHtml(reaction.name)} ${reaction.count}</span>`).join('');
+        
+        return `
+        <div class="message" id="message-${escapeHtml(message.id)}">${reply}
+            <div class="message-header">
+                <span class="author">${escapeHtml(message.author)}</span>
+                <span class="source source-${escapeHtml(String(message.source).toLowerCase())}">${escapeHtml(message.source)}</span>
+                <span class="timestamp" title="${escapeHtml(message.timestamp)}">${formatExportTime(message.timestamp)}${message.editedAt ? ' (edited)' : ''}</span>
+            </div>
+            <div class="content">${renderHtmlContent(message.content, message.mentions)}</div>${media ? `
+            <div class="media">${media}</div>` : ''}${reactions ? `
+            <div class="reactions">${reactions}</div>` : ''}
+        </div>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(transcript.channel.name)} - Chat export</title>
+    <style>
+        body { margin: 0; background: #2f3136; color: #dcddde; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 15px; }
+        header { padding: 16px 20px; border-bottom: 1px solid #202225; }
+        header h1 { margin: 0 0 4px; color: #fff; font-size: 20px; }
+        header p { margin: 0; color: #72767d; font-size: 13px; }
+        main { background: #36393f; padding: 10px 20px; }
+        .message { padding: 8px 0; border-bottom: 1px solid rgba(32, 34, 37, 0.6); }
+        .message-header { display: flex; gap: 8px; align-items: baseline; margin-bottom: 4px; }
+        .author { color: #ff9eb5; font-weight: 600; }
+        .source { background: rgba(255, 192, 203, 0.15); color: rgba(255, 192, 203, 0.95); border-radius: 3px; padding: 1px 6px; font-size: 11px; }
+        .timestamp { color: #72767d; font-size: 12px; }
+        .content { white-space: normal; word-wrap: break-word; line-height: 1.4; }
+        .content a, .attachment { color: #00aff4; }
+        .reply-reference { background: #40444b; border-left: 3px solid #ff9eb5; border-radius: 3px; padding: 4px 8px; margin-bottom: 6px; font-size: 13px; }
+        .reply-author { color: #ff9eb5; font-weight: 600; margin-right: 6px; }
+        .reply-content { color: #b9bbbe; }
+        .media { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; }
+        .embedded-image { max-width: 400px; max-height: 300px; border-radius: 4px; }
+        .embedded-video { max-width: 400px; max-height: 300px; border-radius: 4px; background: #000; }
+        .sticker { width: 160px; height: 160px; object-fit: contain; }
+        .emoji { width: 22px; height: 22px; vertical-align: bottom; }
+        .attachment { background: #40444b; border-radius: 4px; padding: 6px 10px; text-decoration: none; }
+        .embed { display: flex; flex-direction: column; gap: 4px; max-width: 520px; background: #2f3136; border-left: 4px solid #202225; border-radius: 4px; padding: 8px 12px; font-size: 14px; }
+        .embed-author, .embed-title { color: #fff; font-weight: 600; }
+        .embed-footer { color: #72767d; font-size: 12px; }
+        .embed a { color: #00aff4; }
+        .reactions { display: flex; gap: 4px; margin-top: 6px; }
+        .reaction { background: #40444b; border-radius: 8px; padding: 2px 6px; font-size: 13px; }
+        .reaction .emoji { width: 16px; height: 16px; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(transcript.channel.name)}</h1>
+        <p>Exported ${formatExportTime(transcript.exportedAt)}${range ? ` · ${range}` : ''} · ${transcript.messages.length} messages</p>
+    </header>
+    <main>${messages}
+    </main>
+</body>
+</html>
+`;
+}
+
+// Upload limits for files sent from the web
+const UPLOAD_MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_FILE_SIZE || String(10 * 1024 * 1024), 10); // 10 MB, Discord's default limit
+const UPLOAD_MAX_FILES = 10; // Discord allows up to 10 attachments per message
+const UPLOAD_ALLOWED_TYPES = (process.env.UPLOAD_ALLOWED_TYPES || 'image/*,video/*,audio/*,application/pdf,text/plain,application/zip')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+// Function to format a byte count for error messages
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// Function to check a MIME type against the allow list (supports "type/*" wildcards)
+function isAllowedUploadType(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+    return UPLOAD_ALLOWED_TYPES.some(allowed => 
+        allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+    );
+}
+
+// Files are kept in memory only long enough to forward them to Discord
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: UPLOAD_MAX_FILE_SIZE,
+        files: UPLOAD_MAX_FILES
+    },
+    fileFilter: (req, file, callback) => {
+        if (isAllowedUploadType(file.mimetype)) {
+            callback(null, true);
+        } else {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `File type ${file.mimetype} is not allowed`;
+            callback(error);
+        }
+    }
+});
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.static('public'));
+
+// Discord bot setup
+const client = new Client({
+    intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.MessageContent,
+        GatewayIntentBits.DirectMessages,
+        GatewayIntentBits.GuildMessageTyping,
+        GatewayIntentBits.DirectMessageTyping,
+        GatewayIntentBits.GuildMessageReactions,
+        GatewayIntentBits.DirectMessageReactions,
+        ...(MEMBER_INTENTS ? [GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildPresences] : [])
+    ],
+    // Needed to hear about edits, deletes and reactions on messages that aren't in the cache
+    partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User],
+    rest: { rejectOnRateLimit: shouldRejectDiscordRateLimit }
+});
+
+// Log Discord rate limits (discord.js waits them out or, for slow web writes, rejects)
+client.rest.on(RESTEvents.RateLimited, (info) => {
+    console.warn(`[BOT] Discord rate limit on ${info.method} ${info.route}${info.global ? ' (global)' : ''}: ${info.timeToReset}ms`);
+});
+
+// Discord access goes through an adapter, chosen with DISCORD_ADAPTER: 'discord' (the bot) or 'loopback'
+// (an offline stand-in for demos, UI work and tests). Every adapter implements the same interface:
+//   start(), isReady(), getStatus() -> { connected, status, ping }, setPresence(online, text),
+//   resolveChannel(state) (sets state.name and state.type), fetchHistory(state), sendTyping(state),
+//   sendMessage(state, { author, avatarUrl, content, files, replyTo }) -> { id, timestamp, media, mentions, webhookId },
+//   fetchMessages(state, { before, limit }) -> messages older than before (oldest first),
+//   fetchMessage(state, id) -> message (throws when it doesn't exist),
+//   editMessage(state, message, content) -> { mentions, editedAt }, deleteMessage(state, message),
+//   react(state, messageId, emoji, remove) -> reactions (404 when the message is gone), getMembers(state) -> { members, truncated },
+//   startThread(state, { name, messageId, reason }) -> thread state, purgeMessages(state, filters) -> { deleted, skipped }
+// Messages are in our stored format and edit/delete take the stored web message. files are
+// { attachment (Buffer), name, contentType }. Requests an adapter can't carry out throw a BridgeError.
+// Adapters call bridgeReady() once connected and report Discord activity with receiveMessage() and
+// setTypingUser(), the same as the discord.js event handlers (DISCORD_ADAPTER is read with the settings)
+
+// Adapter for the real Discord bot (the discord.js client above)
+function createDiscordAdapter() {
+    return {
+        name: 'discord',
+        
+        start() {
+            return client.login(process.env.DISCORD_BOT_TOKEN);
+        },
+        
+        isReady() {
+            return client.isReady();
+        },
+        
+        getStatus() {
+            return {
+                connected: client.isReady() && client.ws.status === Status.Ready,
+                status: Status[client.ws.status] || 'Unknown',
+                ping: client.ws.ping >= 0 ? client.ws.ping : null // Heartbeat round trip in ms, null before the first one
+            };
+        },
+        
+        async setPresence(online, text) {
+            await client.user.setPresence({
+                status: online ? 'online' : 'dnd',
+                activities: [{
+                    name: text,
+                    type: 0 // Playing
+                }]
+            });
+        },
+        
+        async resolveChannel(state) {
+            await resolveDiscordChannel(state);
+            
+            // Look up webhooks first so backfilled webhook messages are recognised as web messages
+            await getBridgeWebhook(state);
+        },
+        
+        async fetchHistory(state) {
+            await fetchDiscordHistory(state);
+            await fetchChannelThreads(state);
+        },
+        
+        sendTyping: triggerDiscordTyping,
+        
+        async sendMessage(state, options) {
+            const { sentMessage, webhookId } = await sendWebMessage(state, options);
+            return {
+                id: sentMessage.id,
+                timestamp: sentMessage.createdAt.toISOString(),
+                media: getAttachmentMedia(sentMessage), // Discord CDN copies, so the web view shows them right away
+                mentions: resolveMentions(sentMessage),
+                webhookId: webhookId
+            };
+        },
+        
+        async fetchMessages(state, { before, limit }) {
+            const channel = await resolveDiscordChannel(state);
+            const batch = await channel.messages.fetch({ before, limit });
+            return Array.from(batch.values())
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .map(convertDiscordMessage);
+        },
+        
+        async fetchMessage(state, id) {
+            const channel = await resolveDiscordChannel(state);
+            return convertDiscordMessage(await channel.messages.fetch(id));
+        },
+        
+        async editMessage(state, message, content) {
+            const channel = await resolveDiscordChannel(state);
+            const discordMessage = await channel.messages.fetch(message.id);
+            let edited;
+            
+            if (message.webhookId) {
+                // Only the webhook that sent a message can edit it
+                const webhook = await getBridgeWebhook(state);
+                if (!webhook || webhook.id !== message.webhookId) {
+                    throw new BridgeError(409, 'The webhook that sent this message is no longer available');
+                }
+                edited = await webhook.editMessage(message.id, {
+                    content: formatWebhookContent(discordMessage.channel, content, message.replyTo),
+                    threadId: state.parent ? state.id : undefined
+                });
+            } else {
+                // Keep the quote when the reply was sent as text (see sendWebMessage)
+                const quotedReply = message.replyTo && !discordMessage.reference &&
+                    discordMessage.content.startsWith(`**${message.author}** replying to `);
+                edited = await discordMessage.edit({
+                    content: quotedReply ? formatReplyFallback(message.author, content, message.replyTo) : `**${message.author}**: ${content}`
+                });
+            }
+            
+            return { mentions: resolveMentions(edited), editedAt: (edited.editedAt || new Date()).toISOString() };
+        },
+        
+        async deleteMessage(state, message) {
+            const webhook = message.webhookId ? await getBridgeWebhook(state) : null;
+            
+            if (webhook && webhook.id === message.webhookId) {
+                await webhook.deleteMessage(message.id, state.parent ? state.id : undefined);
+            } else {
+                // Webhook messages from an old webhook need Manage Messages to delete
+                const channel = await resolveDiscordChannel(state);
+                const discordMessage = await channel.messages.fetch(message.id);
+                await discordMessage.delete();
+            }
+        },
+        
+        async react(state, messageId, emoji, remove) {
+            const channel = await resolveDiscordChannel(state);
+            const discordMessage = await channel.messages.fetch(messageId).catch(error => {
+                if (error instanceof RateLimitError) throw error;
+                throw new BridgeError(404, 'Discord message not found');
+            });
+            
+            if (remove) {
+                const reaction = discordMessage.reactions.cache.get(emoji);
+                if (reaction) {
+                    await reaction.users.remove(client.user.id);
+                }
+            } else {
+                try {
+                    await discordMessage.react(emoji);
+                } catch (error) {
+                    if (error instanceof RateLimitError) throw error;
+                    // Unknown emoji, or a custom emoji from a server the bot isn't in
+                    throw new BridgeError(400, 'Cannot react with that emoji');
+                }
+            }
+            
+            // Refetch right away rather than waiting for the gateway event
+            return serializeReactions(await channel.messages.fetch({ message: messageId, force: true }));
+        },
+        
+        getMembers: getChannelMembers,
+        
+        async startThread(state, { name, messageId, reason }) {
+            const channel = await resolveDiscordChannel(state);
+            if (!channel.threads) {
+                throw new BridgeError(400, 'Threads are not available in direct messages');
+            }
+            if (!messageId) {
+                return registerThread(await channel.threads.create({ name, reason }));
+            }
+            
+            const starter = await channel.messages.fetch(messageId).catch(() => null);
+            if (!starter) {
+                throw new BridgeError(404, 'Message not found');
+            }
+            if (starter.hasThread) {
+                throw new BridgeError(409, 'This message already has a thread', { threadId: starter.id });
+            }
+            return registerThread(await starter.startThread({ name, reason }));
+        },
+        
+        purgeMessages: purgeDiscordMessages
+    };
+}
+
+// Offline adapter: a pretend Discord that seeds each channel with a short conversation, answers web messages
+// (typing first, echoing attachments back) and can be driven from tests through the /loopback control routes
+const LOOPBACK_ECHO = process.env.LOOPBACK_ECHO !== 'false';
+const LOOPBACK_REPLY_DELAY = parseInt(process.env.LOOPBACK_REPLY_DELAY || '1500', 10);
+const LOOPBACK_MAX_FILES = 100; // Uploaded files kept in memory for /loopback/files
+const LOOPBACK_MAX_SENT = 500; // Web messages kept for GET /loopback/state
+const LOOPBACK_MEMBERS = [{ name: 'alice' }, { name: 'bob' }, { name: 'EchoBot', bot: true }];
+
+function createLoopbackAdapter() {
+    const files = new Map(); // File id -> { data, name, contentType }
+    const settings = { echo: LOOPBACK_ECHO, replyDelay: LOOPBACK_REPLY_DELAY };
+    let sent = []; // What the web side sent: { channel, id, author, content, files, replyTo, timestamp }
+    let presence = null;
+    let ready = false;
+    
+    // Uploaded files only live in memory, but the seeded image has a fixed id so it survives restarts
+    const demoFile = {
+        data: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="160" height="90"><rect width="160" height="90" fill="#5865f2"/><text x="80" y="52" font-size="18" fill="#fff" text-anchor="middle">loopback</text></svg>'),
+        name: 'loopback.svg',
+        contentType: 'image/svg+xml'
+    };
+    
+    // Function to keep a file and describe it
+    function storeFile(file) {
+        const id = SnowflakeUtil.generate().toString();
+        files.set(id, file);
+        if (files.size > LOOPBACK_MAX_FILES) {
+            files.delete(files.keys().next().value);
+        }
+        return describeFile(id, file);
+    }
+    
+    // Function to describe a file the way Discord attachments are described
+    function describeFile(id, { data, name, contentType }) {
+        return {
+            url: `/loopback/files/${id}/${encodeURIComponent(name)}`,
+            type: getAttachmentType(contentType, name),
+            filename: name,
+            contentType: contentType,
+            size: data.length,
+            width: null,
+            height: null,
+            duration: null,
+            voiceMessage: false
+        };
+    }
+    
+    // Function to get a stored message; the store is all the history the loopback adapter has
+    async function getStoredMessage(state, messageId) {
+        const message = await messageStore.getMessage(state.id, messageId);
+        if (!message) {
+            throw new BridgeError(404, 'Message not found');
+        }
+        return message;
+    }
+    
+    // Function to describe a pretend Discord user for the member list, with a generated avatar
+    function describeMember({ name, bot = false }) {
+        const avatar = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64"><circle cx="32" cy="32" r="32" fill="${bot ? '#5865f2' : '#3ba55c'}"/><text x="32" y="42" font-size="28" fill="#fff" text-anchor="middle">${name.charAt(0).toUpperCase()}</text></svg>`;
+        return {
+            id: `loopback-${name}`,
+            name: name,
+            username: name,
+            avatarUrl: `data:image/svg+xml,${encodeURIComponent(avatar)}`,
+            bot: bot,
+            status: 'online',
+            activity: bot ? 'Echoing web messages' : null,
+            color: null,
+            roles: [],
+            group: 'Online',
+            groupPosition: -1
+        };
+    }
+    
+    // Function to describe a stored message as a reply target
+    async function getReplyTarget(state, messageId) {
+        if (!messageId) return null;
+        const target = await messageStore.getMessage(state.id, messageId);
+        return target ? { id: target.id, author: target.author, content: target.content, timestamp: target.timestamp } : null;
+    }
+    
+    // Function to build a message from a pretend Discord user
+    // attachments: [{ name, contentType, data (Buffer or base64 string) }]
+    async function createMessage(state, { author, content = '', replyTo = null, attachments = [], bot = false, timestamp = Date.now() }) {
+        return {
+            id: SnowflakeUtil.generate({ timestamp }).toString(),
+            author: author,
+            content: content,
+            timestamp: new Date(timestamp).toISOString(),
+            source: bot ? 'Bot' : 'Discord',
+            isBot: bot,
+            media: attachments.map(file => storeFile({
+                data: Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data || ''), 'base64'),
+                name: file.name || 'file',
+                contentType: file.contentType || 'application/octet-stream'
+            })),
+            embeds: [],
+            reactions: [],
+            mentions: { users: {}, channels: {}, roles: {} },
+            replyTo: await getReplyTarget(state, replyTo)
+        };
+    }
+    
+    // Function to post a message as a pretend Discord user, as if it arrived from the gateway
+    async function emitMessage(state, options) {
+        const messageData = await createMessage(state, options);
+        lastDiscordEventAt = Date.now();
+        receiveMessage(state, messageData, `loopback:${messageData.author}`);
+        return messageData;
+    }
+    
+    // Function to show a pretend Discord user typing
+    function emitTyping(state, author, timeout = DISCORD_TYPING_TIMEOUT) {
+        lastDiscordEventAt = Date.now();
+        setTypingUser(state, `loopback:${author}`, author, 'Discord', timeout);
+    }
+    
+    // Function to answer a web message: type for a moment, then echo it (and its files) back as a reply
+    function simulateReply(state, message, attachments) {
+        setTimeout(() => emitTyping(state, 'EchoBot', settings.replyDelay + 1000), Math.min(300, settings.replyDelay));
+        setTimeout(() => {
+            const content = message.content
+                ? `Echo: ${message.content}`
+                : `Got ${attachments.length} file${attachments.length === 1 ? '' : 's'}`;
+            emitMessage(state, { author: 'EchoBot', content, replyTo: message.id, attachments, bot: true }).catch(error => {
+                console.error('[BOT] Loopback reply failed:', error.message);
+            });
+        }, settings.replyDelay);
+    }
+    
+    // Function to seed an empty channel with a short conversation, including a reply and an attachment
+    async function seedChannel(state) {
+        const start = Date.now() - 60 * 60 * 1000;
+        const script = [
+            { author: 'alice', content: `Welcome to ${state.name}! This is the offline loopback adapter.` },
+            { author: 'bob', content: 'Messages you send get an echo reply from EchoBot.' },
+            { author: 'alice', content: 'Attachments work too:' },
+            { author: 'bob', content: 'Replies as well.', reply: 0 }
+        ];
+        
+        const seeded = [];
+        for (const [index, line] of script.entries()) {
+            const messageData = await createMessage(state, {
+                ...line,
+                replyTo: line.reply !== undefined ? seeded[line.reply].id : null,
+                timestamp: start + index * 60 * 1000
+            });
+            if (index === 2) messageData.media.push(describeFile('demo', demoFile));
+            await messageStore.saveMessage(state.id, messageData);
+            seeded.push(messageData);
+        }
+        return seeded.length;
+    }
+    
+    return {
+        name: 'loopback',
+        settings: settings,
+        emitMessage: emitMessage,
+        emitTyping: emitTyping,
+        
+        async start() {
+            ready = true;
+            lastDiscordEventAt = Date.now();
+            console.log('[BOT] Loopback adapter ready (offline demo mode, nothing is sent to Discord)');
+            await bridgeReady();
+        },
+        
+        isReady() {
+            return ready;
+        },
+        
+        getStatus() {
+            return { connected: ready, status: ready ? 'Ready' : 'Idle', ping: 0 };
+        },
+        
+        async setPresence(online, text) {
+            presence = { status: online ? 'online' : 'dnd', text };
+        },
+        
+        async resolveChannel(state) {
+            if (state.parent) return; // The loopback adapter has no threads
+            const index = Array.from(channels.keys()).indexOf(state.id);
+            state.type = 'channel';
+            state.name = `#loopback-${index >= 0 ? index + 1 : state.id}`;
+        },
+        
+        async fetchHistory(state) {
+            const seededCount = await messageStore.getLatestMessage(state.id) ? 0 : await seedChannel(state);
+            state.messages = await messageStore.getMessages(state.id, { limit: config.maxMessages });
+            broadcastSnapshot(state);
+            console.log(`[BOT] Seeded ${seededCount} loopback messages for ${state.name} (${state.messages.length} loaded)`);
+        },
+        
+        async sendTyping() {},
+        
+        async sendMessage(state, { author, content, files: attachments = [], replyTo = null }) {
+            const id = SnowflakeUtil.generate().toString();
+            const timestamp = new Date().toISOString();
+            const uploaded = attachments.map(file => ({
+                data: file.attachment,
+                name: file.name,
+                contentType: file.contentType || 'application/octet-stream'
+            }));
+            
+            sent.push({
+                channel: state.id,
+                id: id,
+                author: author,
+                content: content,
+                files: uploaded.map(file => file.name),
+                replyTo: replyTo && replyTo.id ? replyTo.id : null,
+                timestamp: timestamp
+            });
+            if (sent.length > LOOPBACK_MAX_SENT) {
+                sent = sent.slice(-LOOPBACK_MAX_SENT);
+            }
+            
+            if (settings.echo) {
+                simulateReply(state, { id, content }, uploaded);
+            }
+            
+            return { id, timestamp, media: uploaded.map(storeFile), mentions: { users: {}, channels: {}, roles: {} }, webhookId: null };
+        },
+        
+        // Nothing older than the store exists
+        async fetchMessages() {
+            return [];
+        },
+        
+        fetchMessage: getStoredMessage,
+        
+        async editMessage(state, message) {
+            await getStoredMessage(state, message.id);
+            return { mentions: { users: {}, channels: {}, roles: {} }, editedAt: new Date().toISOString() };
+        },
+        
+        async deleteMessage(state, message) {
+            await getStoredMessage(state, message.id);
+        },
+        
+        async react(state, messageId, emoji, remove) {
+            // There are no custom emoji offline
+            if (/^\d+$/.test(emoji)) {
+                throw new BridgeError(400, 'Cannot react with that emoji');
+            }
+            
+            const message = await getStoredMessage(state, messageId);
+            const reactions = (message.reactions || []).map(reaction => ({ ...reaction }));
+            let reaction = reactions.find(item => item.key === emoji);
+            if (!reaction && !remove) {
+                reaction = { key: emoji, name: emoji, id: null, animated: false, url: null, count: 0, me: false };
+                reactions.push(reaction);
+            }
+            if (reaction && reaction.me === Boolean(remove)) {
+                reaction.count += remove ? -1 : 1;
+                reaction.me = !remove;
+            }
+            return reactions.filter(item => item.count > 0);
+        },
+        
+        async getMembers() {
+            return { members: LOOPBACK_MEMBERS.map(describeMember), truncated: false };
+        },
+        
+        async startThread() {
+            throw new BridgeError(400, 'Threads are not available with the loopback adapter');
+        },
+        
+        // Same filters as purgeDiscordMessages, applied to the store, newest first
+        async purgeMessages(state, { count, author, botsOnly, before, after }) {
+            const authorName = author ? author.toLowerCase() : null;
+            const deleted = [];
+            let beforeId = before ? SnowflakeUtil.generate({ timestamp: before }).toString() : null;
+            let scanned = 0;
+            let reachedEnd = false;
+            
+            while (!reachedEnd && deleted.length < count && scanned < MAX_PURGE_SCAN) {
+                const batch = (await messageStore.getMessages(state.id, { before: beforeId, limit: 100 })).reverse();
+                if (batch.length === 0) break;
+                
+                for (const message of batch) {
+                    scanned++;
+                    if (after && Date.parse(message.timestamp) < after) {
+                        reachedEnd = true;
+                        break;
+                    }
+                    if (botsOnly && !message.isBot) continue;
+                    if (authorName && String(message.author).toLowerCase() !== authorName) continue;
+                    
+                    deleted.push(message.id);
+                    if (deleted.length >= count) break;
+                }
+                
+                beforeId = batch[batch.length - 1].id;
+            }
+            
+            if (deleted.length > 0) {
+                await removeMessages(state, deleted);
+            }
+            console.log(`[MOD] ${new Date().toISOString()} | Purged ${deleted.length} loopback messages in ${state.name} (${scanned} scanned)`);
+            
+            return { deleted, skipped: 0 };
+        },
+        
+        getFile(id) {
+            return id === 'demo' ? demoFile : files.get(id) || null;
+        },
+        
+        getState() {
+            return { ready, presence, settings, sent };
+        },
+        
+        reset() {
+            sent = [];
+        }
+    };
+}
+
+const bridge = DISCORD_ADAPTER === 'loopback' ? createLoopbackAdapter() : createDiscordAdapter();
+
+// Function to start bridging a channel: resolve it and backfill its history
+async function startBridging(state) {
+    try {
+        await bridge.resolveChannel(state);
+    } catch (error) {
+        console.error(`[BOT] Error resolving channel ${state.id}:`, error.message);
+    }
+    
+    try {
+        await bridge.fetchHistory(state);
+    } catch (error) {
+        console.error(`[BOT] Error fetching history for ${state.id}:`, error.message);
+    }
+}
+
+// Function to start bridging every channel once the adapter is connected
+async function bridgeReady() {
+    // Set initial presence to DND
+    await setBotPresence(false);
+    
+    // Backfill message history for every bridged channel once stored messages are loaded
+    await storageReady;
+    for (const state of Array.from(channels.values())) {
+        await startBridging(state);
+    }
+    broadcastChannels();
+}
+
+// Function to take in a message from Discord: end its author's typing indicator, then store and show it
+function receiveMessage(state, messageData, typingKey) {
+    if (typingKey && state.typingUsers.delete(typingKey)) {
+        broadcastTyping(state);
+    }
+    
+    addMessage(state, messageData);
+    incrementMetric('webchat_messages_in_total');
+    
+    // Log the received message
+    const mediaInfo = messageData.media.length > 0 ? ` [Media: ${messageData.media.length} items]` : '';
+    const replyInfo = messageData.replyTo ? ` [Reply to: ${messageData.replyTo.author}]` : '';
+    console.log(`[MSG_IN] ${new Date().toISOString()} | Discord ${state.name} | ${messageData.author}: ${messageData.content || '(empty)'}${mediaInfo}${replyInfo}`);
+}
+
+// Bot ready event
+client.once('ready', async () => {
+    try {
+        console.log(`[BOT] Discord bot logged in as ${client.user.tag}`);
+        
+        await bridgeReady();
+        await registerSlashCommands();
+    } catch (error) {
+        console.error('[BOT] Error in ready event:', error.message);
+    }
+});
+
+// Note every gateway event, so /healthz can tell a quiet bridge from a stalled connection
+let lastDiscordEventAt = null;
+client.on('raw', () => {
+    lastDiscordEventAt = Date.now();
+});
+
+// Add error event handler for Discord client
+client.on('error', (error) => {
+    console.error('[BOT] Discord client error:', error.message);
+});
+
+// Add warning event handler
+client.on('warn', (warning) => {
+    console.warn('[BOT] Discord client warning:', warning);
+});
+
+// Add disconnect handler
+client.on('disconnect', () => {
+    console.log('[BOT] Discord client disconnected');
+});
+
+// Add reconnecting handler
+client.on('reconnecting', () => {
+    console.log('[BOT] Discord client reconnecting...');
+});
+
+// Function to resolve a configured id to a Discord channel, or a DM if the id is a user
+async function resolveDiscordChannel(state) {
+    if (state.discordChannel) return state.discordChannel;
+    if (bridge.name !== 'discord') {
+        throw new Error(`Not available with the ${bridge.name} adapter`);
+    }
+    
+    let channel;
+    try {
+        // Try to fetch as a channel first
+        channel = await client.channels.fetch(state.id);
+        state.type = 'channel';
+        state.name = channel.name ? `#${channel.name}` : state.id;
+    } catch (error) {
+        // If that fails, try to fetch as a user and create DM
+        const user = await client.users.fetch(state.id);
+        channel = await user.createDM();
+        state.type = 'dm';
+        state.name = `@${user.username}`;
+    }
+    
+    state.discordChannel = channel;
+    return channel;
+}
+
+// Function to find the bridged channel (or thread under one) a Discord message belongs to
+function findChannelStateForMessage(message) {
+    if (message.channel.isThread()) {
+        return registerThread(message.channel);
+    }
+    
+    for (const state of channels.values()) {
+        // Check if it's a DM with the configured user or a message in the configured channel
+        const isTargetDM = message.channel.type === 1 && 
+            (message.author.id === state.id || 
+             (message.channel.recipient && message.channel.recipient.id === state.id));
+        const isTargetChannel = message.channel.id === state.id;
+        
+        if (isTargetDM || isTargetChannel) return state;
+    }
+    
+    return null;
+}
+
+// Function to find the bridged channel by Discord channel id (for partial messages without an author)
+function findChannelStateByChannelId(channelId) {
+    for (const state of channels.values()) {
+        if (state.id === channelId || (state.discordChannel && state.discordChannel.id === channelId)) {
+            return state;
+        }
+    }
+    
+    return threads.get(channelId) || null;
+}
+
+// Function to track a Discord thread if its parent channel is bridged
+// Returns the thread state, or null for threads elsewhere
+function registerThread(thread) {
+    const parent = findChannelStateByChannelId(thread.parentId);
+    if (!parent || parent.parent) return null;
+    
+    let state = threads.get(thread.id);
+    if (!state) {
+        state = {
+            id: thread.id,
+            name: thread.name,
+            type: 'thread',
+            parent: parent,
+            discordChannel: thread,
+            messages: [], // Live messages since startup; pages are read from the store
+            typingUsers: new Map(),
+            messageCount: thread.messageCount || 0,
+            lastMessageAt: null,
+            createdAt: thread.createdAt ? thread.createdAt.toISOString() : new Date().toISOString()
+        };
+        threads.set(thread.id, state);
+    }
+    
+    state.name = thread.name;
+    state.discordChannel = thread;
+    state.archived = Boolean(thread.archived);
+    state.locked = Boolean(thread.locked);
+    if (typeof thread.messageCount === 'number') {
+        state.messageCount = thread.messageCount; // discord.js counts new messages as they arrive
+    }
+    
+    return state;
+}
+
+// Function to describe a thread for web clients (thread lists and markers on parent messages)
+function describeThread(state) {
+    return {
+        id: state.id,
+        channel: state.parent.id,
+        name: state.name,
+        messageCount: state.messageCount,
+        archived: state.archived,
+        locked: state.locked,
+        createdAt: state.createdAt,
+        lastMessageAt: state.lastMessageAt
+    };
+}
+
+// Function to refresh the thread marker on the message a thread was started from
+// Threads started from a message share its id; standalone threads have no stored parent message
+function updateThreadMarker(state) {
+    updateMessage(state.parent, state.id, { thread: describeThread(state) }).catch(error => {
+        console.error(`[BOT] Error updating thread marker for ${state.name}:`, error.message);
+    });
+}
+
+// Function to tell web clients a thread was created, changed or deleted
+function broadcastThread(state, deleted = false) {
+    broadcastEvent('thread', { channel: state.parent.id, thread: describeThread(state), deleted: deleted });
+}
+
+// Function to load a bridged channel's active and recently archived threads
+async function fetchChannelThreads(state) {
+    const channel = await resolveDiscordChannel(state);
+    if (!channel.threads) return;
+    
+    const fetched = [];
+    try {
+        const active = await channel.threads.fetchActive();
+        fetched.push(...active.threads.values());
+        const archived = await channel.threads.fetchArchived({ limit: 25 });
+        fetched.push(...archived.threads.values());
+    } catch (error) {
+        console.warn(`[BOT] Could not fetch threads for ${state.name}:`, error.message);
+    }
+    
+    fetched.forEach(registerThread);
+    if (fetched.length > 0) {
+        console.log(`[BOT] Tracking ${fetched.length} threads in ${state.name}`);
+    }
+}
+
+// Function to convert a Discord message into our message format
+function convertDiscordMessage(msg) {
+    // Extract media URLs from message
+    const mediaUrls = [];
+    
+    // Check for attachments (images, files)
+    mediaUrls.push(...getAttachmentMedia(msg));
+    
+    // Check for URLs in message content that might be images
+    const urlRegex = /(https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp|bmp|svg))/gi;
+    const urlMatches = msg.content.match(urlRegex);
+    if (urlMatches) {
+        urlMatches.forEach(url => {
+            mediaUrls.push({
+                url: url,
+                type: 'image',
+                filename: 'linked_image'
+            });
+        });
+    }
+    
+    // Parse emojis from message content
+    const emojis = parseEmojis(msg.content);
+    mediaUrls.push(...emojis);
+    
+    // Parse stickers from message
+    const stickers = parseStickers(msg);
+    mediaUrls.push(...stickers);
+    
+    // Determine message source
+    let source = 'Discord';
+    let isBot = false;
+    
+    if (msg.author.bot) {
+        isBot = true;
+        if (msg.webhookId) {
+            source = 'Webhook';
+        } else {
+            source = 'Bot';
+        }
+    }
+    
+    // Recover the real username from web messages
+    let author = msg.author.username;
+    let content = msg.content;
+    
+    const webMessage = parseWebMessage(msg);
+    if (webMessage) {
+        author = webMessage.author;
+        content = webMessage.content;
+        source = 'Web';
+        isBot = false;
+    }
+    
+    const threadState = msg.hasThread && msg.thread ? registerThread(msg.thread) : null;
+    
+    return {
+        id: msg.id,
+        author: author,
+        content: content,
+        timestamp: msg.createdAt.toISOString(),
+        source: source,
+        isBot: isBot,
+        media: mediaUrls,
+        embeds: serializeEmbeds(msg, mediaUrls),
+        reactions: serializeReactions(msg),
+        mentions: resolveMentions(msg),
+        thread: threadState ? describeThread(threadState) : null
+    };
+}
+
+// Function to backfill Discord history into the store and reload the channel buffer
+// Pages backwards from the newest message until it reaches what is already stored
+async function fetchDiscordHistory(state) {
+    try {
+        const channel = await resolveDiscordChannel(state);
+        const latestStored = await messageStore.getLatestMessage(state.id);
+        const cutoff = getRetentionCutoff();
+        const fetchedMessages = [];
+        let before = null;
+        
+        for (let page = 0; page < MAX_BACKFILL_PAGES; page++) {
+            const batch = await channel.messages.fetch(before ? { before, limit: 100 } : { limit: 100 });
+            const newMessages = latestStored
+                ? batch.filter(msg => BigInt(msg.id) > BigInt(latestStored.id))
+                : batch;
+            fetchedMessages.push(...newMessages.values());
+            
+            // With nothing stored yet, one page is enough to start from
+            if (!latestStored || batch.size < 100 || newMessages.size < batch.size) break;
+            if (cutoff && batch.some(msg => msg.createdAt <= cutoff)) break;
+            
+            // Continue before the oldest message in this page
+            before = batch.reduce((oldestId, msg) => !oldestId || BigInt(msg.id) < BigInt(oldestId) ? msg.id : oldestId, null);
+            
+            if (page === MAX_BACKFILL_PAGES - 1) {
+                console.warn(`[BOT] Backfill for ${state.name} stopped after ${MAX_BACKFILL_PAGES} pages, older gap not recovered`);
+            }
+        }
+        
+        // Skip anything outside the retention window or already recorded while we were fetching
+        const knownIds = new Set(state.messages.map(msg => msg.id));
+        const recentMessages = fetchedMessages
+            .filter(msg => (!cutoff || msg.createdAt > cutoff) && !knownIds.has(msg.id))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(convertDiscordMessage);
+        
+        for (const messageData of recentMessages) {
+            await messageStore.saveMessage(state.id, messageData);
+        }
+        
+        // Reload the newest messages from the store
+        state.messages = await messageStore.getMessages(state.id, { limit: config.maxMessages });
+        broadcastSnapshot(state);
+        
+        console.log(`[BOT] Backfilled ${recentMessages.length} messages from Discord for ${state.name} (${state.messages.length} loaded)`);
+    } catch (error) {
+        console.error(`[BOT] Error fetching Discord history for ${state.id}:`, error);
+    }
+}
+
+function isSnowflake(value) {
+    return typeof value === 'string' && /^\d{1,20}$/.test(value);
+}
+
+// Function to read a page size from a request: 1 to max, or the fallback when it isn't a number
+function parseLimit(value, fallback, max) {
+    const limit = parseInt(value, 10);
+    return Number.isNaN(limit) ? fallback : Math.max(1, Math.min(limit, max));
+}
+
+// Function to get a page of history around a message id cursor
+// Pages before the cursor come from the store first, then from Discord once the store runs out
+async function getMessagePage(state, { before, after, limit }) {
+    const stored = await messageStore.getMessages(state.id, { before, after, limit });
+    
+    if (after) {
+        return { messages: stored, hasMore: stored.length >= limit };
+    }
+    if (stored.length >= limit) {
+        return { messages: stored, hasMore: true };
+    }
+    
+    // Continue from Discord before the oldest message we have
+    const oldestId = stored.length > 0 ? stored[0].id : before;
+    const remaining = limit - stored.length;
+    let olderMessages;
+    try {
+        olderMessages = await bridge.fetchMessages(state, { before: oldestId, limit: remaining });
+    } catch (error) {
+        console.error(`[BOT] Error fetching older messages for ${state.name}:`, error.message);
+        return { messages: stored, hasMore: false };
+    }
+    
+    // Keep what falls inside the retention window so the next scroll back is served locally
+    const cutoff = getRetentionCutoff();
+    for (const messageData of olderMessages) {
+        if (!cutoff || new Date(messageData.timestamp) > cutoff) {
+            await messageStore.saveMessage(state.id, messageData);
+        }
+    }
+    
+    return { messages: olderMessages.concat(stored), hasMore: olderMessages.length >= remaining };
+}
+
+// Function to get emoji URL
+function getEmojiUrl(emojiId, animated = false) {
+    const extension = animated ? 'gif' : 'png';
+    return `https://cdn.discordapp.com/emojis/${emojiId}.${extension}`;
+}
+
+// Function to get sticker URL
+function getStickerUrl(stickerId, format) {
+    // Lottie stickers are JSON animations; GIF stickers are only served by the media proxy
+    if (format === StickerFormatType.Lottie) {
+        return `https://cdn.discordapp.com/stickers/${stickerId}.json`;
+    }
+    if (format === StickerFormatType.GIF) {
+        return `https://media.discordapp.net/stickers/${stickerId}.gif`;
+    }
+    return `https://cdn.discordapp.com/stickers/${stickerId}.png`;
+}
+
+// Function to resolve <@user>, <#channel> and <@&role> mentions in a message to display names
+// The web client has no access to Discord, so names (and role colours) travel with the message
+function resolveMentions(message) {
+    const mentions = { users: {}, channels: {}, roles: {} };
+    const content = [message.content || '', ...(message.embeds || []).map(embed =>
+        [embed.description, ...(embed.fields || []).map(field => field.value)].join('\n'))].join('\n');
+    
+    for (const [, id] of content.matchAll(/<@!?(\d+)>/g)) {
+        const member = message.mentions?.members?.get(id) || message.guild?.members.cache.get(id);
+        const user = message.mentions?.users.get(id) || client.users.cache.get(id);
+        if (member || user) {
+            mentions.users[id] = { name: member ? member.displayName : (user.globalName || user.username) };
+        }
+    }
+    
+    for (const [, id] of content.matchAll(/<#(\d+)>/g)) {
+        const channel = client.channels.cache.get(id);
+        if (channel) {
+            mentions.channels[id] = { name: channel.name || id };
+        }
+    }
+    
+    for (const [, id] of content.matchAll(/<@&(\d+)>/g)) {
+        const role = message.guild?.roles.cache.get(id);
+        if (role) {
+            // Roles without a colour use the default mention colour
+            mentions.roles[id] = { name: role.name, color: role.color ? role.hexColor : null };
+        }
+    }
+    
+    return mentions;
+}
+
+// Function to parse emojis from message content
+function parseEmojis(content) {
+    const emojis = [];
+    const emojiRegex = /<(a?):(\w+):(\d+)>/g;
+    let match;
+    
+    while ((match = emojiRegex.exec(content)) !== null) {
+        const animated = match[1] === 'a';
+        const emojiName = match[2];
+        const emojiId = match[3];
+        const emojiUrl = getEmojiUrl(emojiId, animated);
+        
+        emojis.push({
+            url: emojiUrl,
+            type: 'emoji',
+            name: emojiName,
+            animated: animated,
+            id: emojiId
+        });
+    }
+    
+    return emojis;
+}
+
+// Function to classify an attachment as image, video, audio or file
+// Falls back to the file extension when Discord doesn't report a content type
+function getAttachmentType(contentType, filename) {
+    const type = (contentType || '').split('/')[0];
+    if (['image', 'video', 'audio'].includes(type)) {
+        return type;
+    }
+    
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'].includes(extension)) return 'image';
+    if (['mp4', 'webm', 'mov', 'mkv'].includes(extension)) return 'video';
+    if (['mp3', 'ogg', 'wav', 'flac', 'm4a', 'opus'].includes(extension)) return 'audio';
+    return 'file';
+}
+
+// Function to extract media entries from a message's attachments
+function getAttachmentMedia(message) {
+    const media = [];
+    
+    if (message.attachments && message.attachments.size > 0) {
+        message.attachments.forEach(attachment => {
+            media.push({
+                url: attachment.url,
+                type: getAttachmentType(attachment.contentType, attachment.name),
+                filename: attachment.name,
+                contentType: attachment.contentType || null,
+                size: attachment.size,
+                width: attachment.width || null,
+                height: attachment.height || null,
+                duration: attachment.duration || null, // Seconds, set for voice messages
+                voiceMessage: Boolean(attachment.waveform)
+            });
+        });
+    }
+    
+    return media;
+}
+
+// Function to serialise a message's embeds (bot cards and link previews) for the web client
+// Image embeds of links already shown from the message content are skipped
+function serializeEmbeds(message, media = []) {
+    const embeds = [];
+    
+    (message.embeds || []).forEach(embed => {
+        const type = embed.data.type || 'rich';
+        if (type === 'image' && media.some(item => item.url === embed.url)) return;
+        
+        const serializeImage = image => image ? {
+            url: image.url,
+            proxyUrl: image.proxyURL || null,
+            width: image.width || null,
+            height: image.height || null
+        } : null;
+        
+        embeds.push({
+            type: type, // 'rich', 'image', 'video', 'gifv', 'article', 'link' ...
+            title: embed.title || null,
+            description: embed.description || null,
+            url: embed.url || null,
+            color: embed.hexColor, // null when the embed has no colour bar
+            timestamp: embed.timestamp || null,
+            author: embed.author ? { name: embed.author.name, url: embed.author.url || null, iconUrl: embed.author.iconURL || null } : null,
+            provider: embed.provider ? { name: embed.provider.name || null, url: embed.provider.url || null } : null,
+            footer: embed.footer ? { text: embed.footer.text, iconUrl: embed.footer.iconURL || null } : null,
+            fields: (embed.fields || []).map(field => ({ name: field.name, value: field.value, inline: Boolean(field.inline) })),
+            image: serializeImage(embed.image),
+            thumbnail: serializeImage(embed.thumbnail),
+            video: serializeImage(embed.video)
+        });
+    });
+    
+    return embeds;
+}
+
+// Function to list a message's reactions with counts (unicode and custom emoji)
+// `me` is true when the bot has reacted, which is how web users react
+function serializeReactions(message) {
+    const reactions = [];
+    
+    if (message.reactions && message.reactions.cache.size > 0) {
+        message.reactions.cache.forEach(reaction => {
+            const emoji = reaction.emoji;
+            reactions.push({
+                key: emoji.id || emoji.name, // Same key Discord uses for the reaction cache
+                name: emoji.name,
+                id: emoji.id || null,
+                animated: Boolean(emoji.animated),
+                url: emoji.id ? getEmojiUrl(emoji.id, emoji.animated) : null,
+                count: reaction.count || 0,
+                me: Boolean(reaction.me)
+            });
+        });
+    }
+    
+    return reactions;
+}
+
+// Function to parse stickers from Discord message
+function parseStickers(message) {
+    const stickers = [];
+    
+    if (message.stickers && message.stickers.size > 0) {
+        message.stickers.forEach(sticker => {
+            const stickerUrl = getStickerUrl(sticker.id, sticker.format);
+            stickers.push({
+                url: stickerUrl,
+                type: 'sticker',
+                name: sticker.name,
+                format: StickerFormatType[sticker.format] || 'PNG', // 'PNG', 'APNG', 'Lottie' or 'GIF'
+                id: sticker.id
+            });
+        });
+    }
+    
+    return stickers;
+}
+
+// Function to trigger typing indicator in Discord
+async function triggerDiscordTyping(state) {
+    try {
+        const channel = await resolveDiscordChannel(state);
+        
+        // Send typing indicator
+        await channel.sendTyping();
+        console.log('[BOT] Typing indicator sent to Discord');
+    } catch (error) {
+        console.error('[BOT] Error sending typing indicator:', error.message);
+    }
+}
+
+// Function to delete matching messages in Discord, newest first
+// Filters: count, author (display name, web authors included), botsOnly, before/after (ms timestamps)
+async function purgeDiscordMessages(state, { count, author, botsOnly, before, after }) {
+    const channel = await resolveDiscordChannel(state);
+    const authorName = author ? author.toLowerCase() : null;
+    const matches = [];
+    let skipped = 0;
+    let scanned = 0;
+    let beforeId = before ? SnowflakeUtil.generate({ timestamp: before }).toString() : undefined;
+    let reachedEnd = false;
+    
+    while (!reachedEnd && matches.length < count && scanned < MAX_PURGE_SCAN) {
+        const batch = await channel.messages.fetch({ limit: 100, before: beforeId });
+        if (batch.size === 0) break;
+        
+        for (const msg of batch.values()) {
+            scanned++;
+            if (after && msg.createdTimestamp < after) {
+                reachedEnd = true;
+                break;
+            }
+            
+            const converted = convertDiscordMessage(msg);
+            if (botsOnly && !converted.isBot) continue;
+            if (authorName && converted.author.toLowerCase() !== authorName) continue;
+            
+            // In DMs the bot can only delete its own messages
+            if (state.type === 'dm' && msg.author.id !== client.user.id) {
+                skipped++;
+                continue;
+            }
+            
+            matches.push(msg);
+            if (matches.length >= count) break;
+        }
+        
+        beforeId = batch.last().id;
+    }
+    
+    const deleted = [];
+    const bulkCutoff = Date.now() - BULK_DELETE_MAX_AGE + 60 * 1000; // A minute of slack
+    const recent = matches.filter(msg => msg.createdTimestamp > bulkCutoff);
+    const old = matches.filter(msg => msg.createdTimestamp <= bulkCutoff);
+    
+    if (state.type === 'dm') {
+        old.push(...recent.splice(0));
+    }
+    
+    for (let i = 0; i < recent.length; i += 100) {
+        const chunk = recent.slice(i, i + 100);
+        if (chunk.length === 1) {
+            old.push(chunk[0]);
+            continue;
+        }
+        const result = await channel.bulkDelete(chunk.map(msg => msg.id), true);
+        deleted.push(...result.keys());
+    }
+    
+    // Older messages (and DMs) have to go one at a time
+    for (const msg of old) {
+        try {
+            await msg.delete();
+            deleted.push(msg.id);
+        } catch (error) {
+            console.error(`[MOD] Error deleting message ${msg.id}:`, error.message);
+            skipped++;
+        }
+    }
+    
+    if (deleted.length > 0) {
+        await removeMessages(state, deleted);
+    }
+    console.log(`[MOD] ${new Date().toISOString()} | Purged ${deleted.length} messages in ${state.name} (${skipped} skipped, ${scanned} scanned)`);
+    
+    return { deleted, skipped };
+}
+
+// Function to recognise a message sent from the web and recover its author and text
+// Webhook messages are matched by webhook id; bot messages fall back to the "**name**: text" prefix
+function parseWebMessage(msg) {
+    if (msg.webhookId && bridgeWebhookIds.has(msg.webhookId)) {
+        // Drop the quoted reply line added by formatWebhookContent
+        return { author: msg.author.username, content: msg.content.replace(/^> ↩️ [^\n]*\n/, '') };
+    }
+    
+    if (msg.author && msg.author.id === process.env.DISCORD_BOT_CLIENT_ID) {
+        const match = msg.content.match(/^\*\*([^*\n]+)\*\*: ([\s\S]*)$/);
+        if (match) {
+            return { author: match[1], content: match[2] };
+        }
+    }
+    
+    return null;
+}
+
+// Function to find or create the bridge webhook for a channel (null in prefix mode or for DMs)
+async function getBridgeWebhook(state) {
+    if (!USE_WEBHOOKS) return null;
+    if (state.parent) return getBridgeWebhook(state.parent); // Threads post through their channel's webhook
+    if (state.webhook !== undefined) return state.webhook;
+    
+    const channel = await resolveDiscordChannel(state);
+    if (typeof channel.fetchWebhooks !== 'function') {
+        state.webhook = null;
+        return null;
+    }
+    
+    try {
+        const webhooks = await channel.fetchWebhooks();
+        let webhook = webhooks.find(hook => hook.owner && hook.owner.id === client.user.id && hook.name === WEBHOOK_NAME);
+        
+        if (!webhook) {
+            webhook = await channel.createWebhook({ name: WEBHOOK_NAME, reason: 'Web chat bridge' });
+            console.log(`[BOT] Created bridge webhook for ${state.name}`);
+        }
+        
+        state.webhook = webhook;
+        bridgeWebhookIds.add(webhook.id);
+    } catch (error) {
+        // Usually a missing Manage Webhooks permission
+        console.warn(`[BOT] Webhooks unavailable for ${state.name}, using message prefix instead:`, error.message);
+        state.webhook = null;
+    }
+    
+    return state.webhook;
+}
+
+// Function to pick the avatar shown for a web user's webhook messages
+function getWebAvatarUrl(username, avatarUrl) {
+    if (typeof avatarUrl === 'string' && /^https:\/\/\S+$/.test(avatarUrl) && avatarUrl.length <= 512) {
+        return avatarUrl;
+    }
+    
+    return WEBHOOK_AVATAR_URL ? WEBHOOK_AVATAR_URL.replace('{username}', encodeURIComponent(username)) : undefined;
+}
+
+// Function to build webhook message content
+// Webhooks can't create Discord replies, so replies quote the original with a jump link instead
+function formatWebhookContent(channel, content, replyTo) {
+    if (!replyTo || !replyTo.id) return content;
+    
+    const replyContent = String(replyTo.content || '');
+    const snippet = replyContent.replace(/\s+/g, ' ').substring(0, 100) + (replyContent.length > 100 ? '...' : '');
+    const link = channel.guildId ? ` ([jump](https://discord.com/channels/${channel.guildId}/${channel.id}/${replyTo.id}))` : '';
+    
+    return `> ↩️ **${replyTo.author}**: ${snippet}${link}\n${content}`;
+}
+
+// Function to quote the message being replied to in prefix mode, when Discord can't make it a real reply
+function formatReplyFallback(author, content, replyTo) {
+    const replyContent = String(replyTo.content || '');
+    return `**${author}** replying to **${replyTo.author}**: "${replyContent.substring(0, 100)}${replyContent.length > 100 ? '...' : ''}"
+${content}`;
+}
+
+// Function to send a web user's message to Discord, through the bridge webhook when available
+// Returns the sent Discord message and the webhook id it was sent with (null in prefix mode)
+async function sendWebMessage(state, { author, avatarUrl, content, files = [], replyTo = null }) {
+    const channel = await resolveDiscordChannel(state);
+    const webhook = await getBridgeWebhook(state);
+    
+    if (webhook) {
+        try {
+            const sentMessage = await webhook.send({
+                content: formatWebhookContent(channel, content, replyTo),
+                username: author.substring(0, 80),
+                avatarURL: getWebAvatarUrl(author, avatarUrl),
+                files: files,
+                threadId: state.parent ? state.id : undefined
+            });
+            return { sentMessage, webhookId: webhook.id };
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error; // The prefix fallback would hit the same limit
+            // Discord rejects some webhook names (e.g. containing "discord"), so fall back to the prefix
+            console.warn(`[BOT] Webhook send failed for ${author}, falling back to message prefix:`, error.message);
+        }
+    }
+    
+    // Attachment-only messages still carry the prefix so the author survives a history reload
+    const messageOptions = {
+        content: `**${author}**: ${content || files.map(file => `📎 ${file.name}`).join(' ')}`,
+        files: files
+    };
+    
+    // Add Discord reply if this is a reply to a Discord message
+    if (replyTo && replyTo.id) {
+        try {
+            // Try to fetch the original message to reply to
+            const originalMessage = await channel.messages.fetch(replyTo.id);
+            if (originalMessage) {
+                messageOptions.reply = {
+                    messageReference: originalMessage,
+                    failIfNotExists: false
+                };
+            }
+        } catch (error) {
+            console.log('[API] Could not fetch original message for reply, sending as regular message:', error.message);
+            // Fallback to text-based reply if Discord reply fails
+            messageOptions.content = formatReplyFallback(author, content, replyTo);
+        }
+    }
+    
+    const sentMessage = await channel.send(messageOptions);
+    return { sentMessage, webhookId: null };
+}
+
+// Listen for messages from Discord
+client.on('messageCreate', async (message) => {
+    try {
+        // Only bridge messages from the configured channels and DMs
+        const state = findChannelStateForMessage(message);
+        if (!state) return;
+        
+        // Don't process messages from our own bot or bridge webhooks (the send routes record those)
+        if (message.author.id === process.env.DISCORD_BOT_CLIENT_ID ||
+            (message.webhookId && bridgeWebhookIds.has(message.webhookId))) {
+            // They still count as thread replies, which discord.js has tallied by now
+            if (state.parent) updateThreadMarker(state);
+            return;
+        }
+        
+        // Handle Discord replies
+        let replyTo = null;
+        if (message.reference && message.reference.messageId) {
+            try {
+                const referencedMessage = await message.channel.messages.fetch(message.reference.messageId);
+                if (referencedMessage) {
+                    let originalAuthor = referencedMessage.author.username;
+                    let originalContent = referencedMessage.content;
+                    
+                    // If replying to a web message, use the web username
+                    const webMessage = parseWebMessage(referencedMessage);
+                    if (webMessage) {
+                        originalAuthor = webMessage.author;
+                        originalContent = webMessage.content;
+                    }
+                    
+                    replyTo = {
+                        id: referencedMessage.id,
+                        author: originalAuthor,
+                        content: originalContent,
+                        timestamp: referencedMessage.createdAt.toISOString()
+                    };
+                }
+            } catch (error) {
+                console.log('[BOT] Could not fetch referenced message:', error.message);
+            }
+        }
+
+        // Add message to our array
+        const messageData = { ...convertDiscordMessage(message), replyTo: replyTo };
+        
+        // Sending a message ends the author's typing indicator
+        receiveMessage(state, messageData, `discord:${message.author.id}`);
+    } catch (error) {
+        console.error('[BOT] Error processing Discord message:', error.message);
+    }
+});
+
+// Show Discord users typing in bridged channels to web users
+client.on('typingStart', (typing) => {
+    try {
+        // Our own typing mirrors web users, who are already listed
+        if (typing.user.id === client.user.id) return;
+        
+        const state = typing.channel.isThread()
+            ? registerThread(typing.channel)
+            : findChannelStateByChannelId(typing.channel.id);
+        if (!state) return;
+        
+        // Discord repeats the event every ~10 seconds while someone keeps typing
+        const elapsed = Date.now() - typing.startedTimestamp;
+        const timeout = Math.max(DISCORD_TYPING_TIMEOUT - elapsed, 1000);
+        setTypingUser(state, `discord:${typing.user.id}`, typing.user.username || 'Someone', 'Discord', timeout);
+    } catch (error) {
+        console.error('[BOT] Error processing typing event:', error.message);
+    }
+});
+
+// Keep edited Discord messages in sync
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+    try {
+        const state = findChannelStateByChannelId(newMessage.channelId);
+        if (!state) return;
+        
+        if (newMessage.partial) {
+            newMessage = await newMessage.fetch();
+        }
+        
+        // Edits to our own bot's or webhooks' messages come from /api/edit, which already updated the store
+        if (newMessage.author.id === process.env.DISCORD_BOT_CLIENT_ID) return;
+        if (newMessage.webhookId && bridgeWebhookIds.has(newMessage.webhookId)) return;
+        
+        // Discord also fires this when link embeds resolve, in which case editedAt stays null
+        const converted = convertDiscordMessage(newMessage);
+        const updated = await updateMessage(state, newMessage.id, {
+            content: converted.content,
+            media: converted.media,
+            embeds: converted.embeds,
+            mentions: converted.mentions,
+            editedAt: newMessage.editedAt ? newMessage.editedAt.toISOString() : null
+        });
+        
+        if (updated) {
+            console.log(`[MSG_EDIT] ${new Date().toISOString()} | Discord ${state.name} | ${updated.author}: ${updated.content || '(empty)'}`);
+        }
+    } catch (error) {
+        console.error('[BOT] Error processing message edit:', error.message);
+    }
+});
+
+// Function to refresh a message's reaction counts after a reaction changes
+async function syncReactions(reaction) {
+    if (reaction.partial) {
+        reaction = await reaction.fetch();
+    }
+    
+    let message = reaction.message;
+    if (message.partial) {
+        message = await message.fetch();
+    }
+    
+    const state = findChannelStateByChannelId(message.channelId);
+    if (!state) return;
+    
+    await updateMessage(state, message.id, { reactions: serializeReactions(message) });
+}
+
+// Keep reaction counts in sync
+client.on('messageReactionAdd', async (reaction) => {
+    try {
+        await syncReactions(reaction);
+    } catch (error) {
+        console.error('[BOT] Error processing reaction add:', error.message);
+    }
+});
+
+client.on('messageReactionRemove', async (reaction) => {
+    try {
+        await syncReactions(reaction);
+    } catch (error) {
+        console.error('[BOT] Error processing reaction remove:', error.message);
+    }
+});
+
+// Remove deleted Discord messages
+client.on('messageDelete', async (message) => {
+    try {
+        const state = findChannelStateByChannelId(message.channelId);
+        if (!state) return;
+        
+        await removeMessages(state, [message.id]);
+        console.log(`[MSG_DELETE] ${new Date().toISOString()} | Discord ${state.name} | ${message.id}`);
+    } catch (error) {
+        console.error('[BOT] Error processing message delete:', error.message);
+    }
+});
+
+client.on('messageDeleteBulk', async (deletedMessages, channel) => {
+    try {
+        const state = findChannelStateByChannelId(channel.id);
+        if (!state) return;
+        
+        await removeMessages(state, Array.from(deletedMessages.keys()));
+        console.log(`[MSG_DELETE] ${new Date().toISOString()} | Discord ${state.name} | ${deletedMessages.size} messages (bulk)`);
+    } catch (error) {
+        console.error('[BOT] Error processing bulk message delete:', error.message);
+    }
+});
+
+// Track threads being created, archived, unarchived, renamed and deleted under bridged channels
+client.on('threadCreate', (thread) => {
+    try {
+        const state = registerThread(thread);
+        if (!state) return;
+        
+        broadcastThread(state);
+        updateThreadMarker(state);
+        console.log(`[BOT] ${new Date().toISOString()} | Thread created in ${state.parent.name}: ${state.name}`);
+    } catch (error) {
+        console.error('[BOT] Error processing thread create:', error.message);
+    }
+});
+
+client.on('threadUpdate', (oldThread, newThread) => {
+    try {
+        const state = registerThread(newThread);
+        if (!state) return;
+        
+        broadcastThread(state);
+        updateThreadMarker(state);
+        
+        if (Boolean(oldThread.archived) !== state.archived) {
+            console.log(`[BOT] ${new Date().toISOString()} | Thread ${state.archived ? 'archived' : 'unarchived'} in ${state.parent.name}: ${state.name}`);
+        }
+    } catch (error) {
+        console.error('[BOT] Error processing thread update:', error.message);
+    }
+});
+
+client.on('threadDelete', async (thread) => {
+    try {
+        const state = threads.get(thread.id);
+        if (!state) return;
+        
+        threads.delete(thread.id);
+        broadcastThread(state, true);
+        await updateMessage(state.parent, state.id, { thread: null });
+        console.log(`[BOT] ${new Date().toISOString()} | Thread deleted in ${state.parent.name}: ${state.name}`);
+    } catch (error) {
+        console.error('[BOT] Error processing thread delete:', error.message);
+    }
+});
+
+// Member list
+const ACTIVITY_VERBS = { 0: 'Playing', 1: 'Streaming', 2: 'Listening to', 3: 'Watching', 5: 'Competing in' };
+
+// Function to describe a user's main activity, e.g. "Playing Minecraft" or their custom status
+function describeActivity(presence) {
+    if (!presence || !presence.activities || presence.activities.length === 0) return null;
+    
+    const activity = presence.activities.find(item => item.type !== 4) || presence.activities[0];
+    if (activity.type === 4) {
+        // Custom status
+        return [activity.emoji && !activity.emoji.id ? activity.emoji.name : null, activity.state].filter(Boolean).join(' ') || null;
+    }
+    return `${ACTIVITY_VERBS[activity.type] || ''} ${activity.name}`.trim();
+}
+
+// Function to find a user's presence in any server the bot shares with them (DM recipients have none of their own)
+function findUserPresence(userId) {
+    for (const guild of client.guilds.cache.values()) {
+        const presence = guild.presences.cache.get(userId);
+        if (presence) return presence;
+    }
+    return null;
+}
+
+// Function to convert a guild member (or a DM recipient user) into what the member sidebar shows
+// group is the hoisted role online members are listed under, or 'Online'/'Offline'
+function serializeMember(member, user = member.user) {
+    const presence = member ? member.presence : findUserPresence(user.id);
+    const status = presence ? presence.status : 'offline';
+    const hoistRole = member ? member.roles.hoist : null;
+    const roles = member
+        ? Array.from(member.roles.cache.values())
+            .filter(role => role.id !== member.guild.id) // @everyone
+            .sort((a, b) => b.position - a.position)
+            .map(role => ({ id: role.id, name: role.name, color: role.color ? role.hexColor : null }))
+        : [];
+    
+    return {
+        id: user.id,
+        name: member ? member.displayName : (user.globalName || user.username),
+        username: user.username,
+        avatarUrl: (member || user).displayAvatarURL({ size: 64 }),
+        bot: Boolean(user.bot),
+        status: status, // 'online', 'idle', 'dnd' or 'offline'
+        activity: describeActivity(presence),
+        color: member && member.displayColor ? member.displayHexColor : null,
+        roles: roles,
+        group: status === 'offline' ? 'Offline' : (hoistRole ? hoistRole.name : 'Online'),
+        groupPosition: status === 'offline' ? -2 : (hoistRole ? hoistRole.position : -1)
+    };
+}
+
+// Function to check whether a guild member can see a bridged channel
+function canViewChannel(channel, member) {
+    const permissions = channel.permissionsFor(member);
+    return Boolean(permissions && permissions.has(PermissionFlagsBits.ViewChannel));
+}
+
+// Function to list who is in a bridged channel (members who can see it) or DM (just the recipient)
+async function getChannelMembers(state) {
+    const channelState = state.parent || state;
+    const channel = await resolveDiscordChannel(channelState);
+    
+    if (channelState.type === 'dm') {
+        const user = channel.recipient || await client.users.fetch(channelState.id);
+        return { members: [serializeMember(null, user)], truncated: false };
+    }
+    
+    const guild = channel.guild;
+    if (MEMBER_INTENTS && !channelState.membersFetched) {
+        // Loads every member (and their presence) once; gateway events keep the cache current afterwards
+        await guild.members.fetch({ withPresences: true });
+        channelState.membersFetched = true;
+    }
+    
+    const members = Array.from(guild.members.cache.values())
+        .filter(member => canViewChannel(channel, member))
+        .map(member => serializeMember(member))
+        .sort((a, b) => b.groupPosition - a.groupPosition || a.name.localeCompare(b.name));
+    
+    return { members: members.slice(0, MAX_MEMBER_LIST), truncated: members.length > MAX_MEMBER_LIST };
+}
+
+// Function to push a member's change to web clients viewing each bridged channel they can see
+// Members who left (or, with sendRemoval, may have lost access) are sent as removals carrying only their id
+function broadcastMemberChange(member, user, { left = false, sendRemoval = left } = {}) {
+    for (const state of channels.values()) {
+        const channel = state.discordChannel;
+        if (!channel) continue;
+        
+        if (state.type === 'dm') {
+            if (channel.recipientId === user.id) {
+                broadcastEvent('member', { channel: state.id, member: serializeMember(null, user), removed: false });
+            }
+        } else if (member && channel.guildId === member.guild.id) {
+            const visible = !left && canViewChannel(channel, member);
+            if (visible) {
+                broadcastEvent('member', { channel: state.id, member: serializeMember(member), removed: false });
+            } else if (sendRemoval) {
+                broadcastEvent('member', { channel: state.id, member: { id: user.id }, removed: true });
+            }
+        }
+    }
+}
+
+client.on('presenceUpdate', (oldPresence, newPresence) => {
+    try {
+        // Only status and activity changes matter to the sidebar
+        if (oldPresence && oldPresence.status === newPresence.status &&
+            describeActivity(oldPresence) === describeActivity(newPresence)) return;
+        
+        const user = newPresence.user || client.users.cache.get(newPresence.userId);
+        if (!user) return;
+        broadcastMemberChange(newPresence.member, user);
+    } catch (error) {
+        console.error('[BOT] Error processing presence update:', error.message);
+    }
+});
+
+client.on('guildMemberUpdate', (oldMember, newMember) => {
+    try {
+        // Role changes can take away access to a channel
+        broadcastMemberChange(newMember, newMember.user, { sendRemoval: true });
+    } catch (error) {
+        console.error('[BOT] Error processing member update:', error.message);
+    }
+});
+
+client.on('guildMemberAdd', (member) => {
+    try {
+        broadcastMemberChange(member, member.user);
+    } catch (error) {
+        console.error('[BOT] Error processing member join:', error.message);
+    }
+});
+
+client.on('guildMemberRemove', (member) => {
+    try {
+        broadcastMemberChange(member, member.user, { left: true });
+    } catch (error) {
+        console.error('[BOT] Error processing member leave:', error.message);
+    }
+});
+
+// Slash commands: /webchat lets Discord users see and control the web side of a bridged channel
+const WEB_ACTIVE_WINDOW = 10 * 60 * 1000; // Web users who posted in the last 10 minutes count as active
+
+const webchatCommand = new SlashCommandBuilder()
+    .setName('webchat')
+    .setDescription('See and control the web chat bridged to this channel')
+    .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+    .addSubcommand(subcommand => subcommand
+        .setName('who')
+        .setDescription('List connected and active web users'))
+    .addSubcommand(subcommand => subcommand
+        .setName('announce')
+        .setDescription('Show a banner to web users in this channel (leave empty to clear it)')
+        .addStringOption(option => option
+            .setName('message')
+            .setDescription('Banner text')
+            .setMaxLength(300)))
+    .addSubcommand(subcommand => subcommand
+        .setName('lock')
+        .setDescription('Make the web chat read-only in this channel'))
+    .addSubcommand(subcommand => subcommand
+        .setName('unlock')
+        .setDescription('Let web users post in this channel again'))
+    .addSubcommand(subcommand => subcommand
+        .setName('purge')
+        .setDescription('Delete recent messages in this channel')
+        .addIntegerOption(option => option
+            .setName('count')
+            .setDescription('How many matching messages to delete')
+            .setMinValue(1)
+            .setMaxValue(MAX_PURGE_MESSAGES)
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('author')
+            .setDescription('Only messages by this author (web usernames work too)'))
+        .addBooleanOption(option => option
+            .setName('bots_only')
+            .setDescription('Only messages from bots and webhooks (includes web messages)')));
+
+// Subcommands anyone can use; the rest need Manage Messages in the channel
+const PUBLIC_WEBCHAT_SUBCOMMANDS = ['who'];
+
+// Function to register the bot's slash commands (global, so they work in every bridged server and DM)
+async function registerSlashCommands() {
+    try {
+        await client.application.commands.set([webchatCommand.toJSON()]);
+        console.log('[BOT] Registered /webchat slash commands');
+    } catch (error) {
+        console.error('[BOT] Error registering slash commands:', error.message);
+    }
+}
+
+// Function to describe who is on the web side of a channel, for /webchat who
+function describeWebUsers(state) {
+    const connected = new Set();
+    let anonymous = 0;
+    for (const res of streamClients) {
+        if (res.locals.session.username) {
+            connected.add(res.locals.session.username);
+        } else {
+            anonymous++;
+        }
+    }
+    
+    const activeSince = Date.now() - WEB_ACTIVE_WINDOW;
+    const active = Array.from(recentWebUsers.values())
+        .filter(user => Date.parse(user.lastSeen) > activeSince)
+        .map(user => user.username);
+    const typing = getActiveTypingUsers(state).map(entry => entry.source === 'Discord' ? `${entry.name} (Discord)` : entry.name);
+    
+    const lines = [
+        `**Web chat for ${state.name}**${lockedChannels.has(state.id) ? ' (read-only)' : ''}`,
+        `Connected: ${streamClients.size === 0 ? 'nobody' : [...connected, ...(anonymous > 0 ? [`${anonymous} signed in with the shared password`] : [])].join(', ')}`,
+        `Active in the last ${WEB_ACTIVE_WINDOW / 60000} minutes: ${active.length > 0 ? active.join(', ') : 'nobody'}`,
+        `Typing: ${typing.length > 0 ? typing.join(', ') : 'nobody'}`
+    ];
+    if (IRC_PORT) {
+        const ircNicks = getIrcMembers(state).map(connection => connection.nick);
+        lines.splice(2, 0, `On IRC (${getIrcChannelName(state)}): ${ircNicks.length > 0 ? ircNicks.join(', ') : 'nobody'}`);
+    }
+    return lines.join('\n');
+}
+
+const webchatSubcommands = {
+    async who(interaction, state) {
+        await interaction.reply({ content: describeWebUsers(state), flags: MessageFlags.Ephemeral });
+    },
+    
+    async announce(interaction, state, actor) {
+        const message = (interaction.options.getString('message') || '').trim();
+        state.announcement = message ? {
+            id: interaction.id,
+            message: message,
+            author: interaction.user.username,
+            timestamp: new Date().toISOString()
+        } : null;
+        broadcastChannels();
+        
+        await writeAuditEntry(actor, message ? 'announce' : 'clear-announcement', { channel: state.id, message: message || null });
+        await interaction.reply({
+            content: message ? 'Announcement shown to web users.' : 'Announcement cleared.',
+            flags: MessageFlags.Ephemeral
+        });
+    },
+    
+    async lock(interaction, state, actor) {
+        lockedChannels.add(state.id);
+        await saveRestrictions();
+        broadcastChannels();
+        
+        await writeAuditEntry(actor, 'lock', { channel: state.id });
+        await interaction.reply({ content: 'The web chat is now read-only in this channel.', flags: MessageFlags.Ephemeral });
+    },
+    
+    async unlock(interaction, state, actor) {
+        lockedChannels.delete(state.id);
+        await saveRestrictions();
+        broadcastChannels();
+        
+        await writeAuditEntry(actor, 'unlock', { channel: state.id });
+        await interaction.reply({ content: 'Web users can post in this channel again.', flags: MessageFlags.Ephemeral });
+    },
+    
+    async purge(interaction, state, actor) {
+        // Purges can take a while, and interactions must be answered within 3 seconds
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        
+        const filters = {
+            count: interaction.options.getInteger('count'),
+            author: interaction.options.getString('author'),
+            botsOnly: Boolean(interaction.options.getBoolean('bots_only'))
+        };
+        const result = await bridge.purgeMessages(state, filters);
+        
+        await writeAuditEntry(actor, 'purge', { channel: state.id, ...filters, deleted: result.deleted.length, skipped: result.skipped });
+        await interaction.editReply(`Deleted ${result.deleted.length} messages${result.skipped ? ` (${result.skipped} could not be deleted)` : ''}.`);
+    }
+};
+
+// Handle /webchat commands
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.isChatInputCommand() || interaction.commandName !== 'webchat') return;
+    
+    const subcommand = interaction.options.getSubcommand();
+    try {
+        // Commands act on the bridged channel they're used in (a thread counts as its channel);
+        // in a DM the bridged user's id is the channel id
+        let state = findChannelStateByChannelId(interaction.channelId) || (!interaction.inGuild() ? channels.get(interaction.user.id) : null);
+        if (state && state.parent) {
+            state = state.parent;
+        }
+        if (!state) {
+            await interaction.reply({ content: 'This channel is not bridged to the web chat.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+        
+        const canModerate = interaction.inGuild()
+            ? interaction.memberPermissions.has(PermissionFlagsBits.ManageMessages)
+            : interaction.user.id === state.id; // The other side of a bridged DM
+        if (!PUBLIC_WEBCHAT_SUBCOMMANDS.includes(subcommand) && !canModerate) {
+            await interaction.reply({ content: 'You need the Manage Messages permission to do that.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+        
+        console.log(`[CMD] ${new Date().toISOString()} | ${interaction.user.username} used /webchat ${subcommand} in ${state.name}`);
+        
+        const actor = { moderator: `${interaction.user.username} (Discord)`, ip: null };
+        await webchatSubcommands[subcommand](interaction, state, actor);
+    } catch (error) {
+        console.error(`[CMD] Error handling /webchat ${subcommand}:`, error);
+        const reply = { content: 'Something went wrong running that command.', flags: MessageFlags.Ephemeral };
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply.content);
+            } else {
+                await interaction.reply(reply);
+            }
+        } catch (replyError) {
+            console.error('[CMD] Error replying to interaction:', replyError.message);
+        }
+    }
+});
+
+
+
+// Runtime settings: apply changes from the config file or the admin panel without a restart
+// Function to apply new settings; returns the names of the settings that changed
+async function applyConfig(next) {
+    const previous = config;
+    const changed = Object.keys(next).filter(key => JSON.stringify(next[key]) !== JSON.stringify(previous[key]));
+    if (changed.length === 0) return changed;
+    
+    config = next;
+    console.log(`[CONFIG] Applying changed settings: ${changed.join(', ')}`);
+    
+    if (changed.includes('rateLimits')) {
+        RATE_LIMITS = buildRateLimits(config.rateLimits);
+        rateLimitBuckets.clear(); // Start everyone with full buckets under the new numbers
+    }
+    if (changed.includes('presence') && bridge.isReady()) {
+        try {
+            await setBotPresence(isOnline);
+        } catch (error) {
+            console.error('[BOT] Error updating bot presence:', error.message);
+        }
+        broadcastPresence();
+    }
+    if (changed.includes('channels')) {
+        await applyChannelChanges(previous.channels);
+    }
+    if (changed.includes('maxMessages')) {
+        // Reload the buffers so every channel holds (and sends on load) the new number of messages
+        for (const state of channels.values()) {
+            state.messages = await messageStore.getMessages(state.id, { limit: config.maxMessages });
+            broadcastSnapshot(state);
+        }
+    }
+    if (changed.includes('defaultUsername')) {
+        broadcastEvent('config', { defaultUsername: config.defaultUsername });
+    }
+    
+    return changed;
+}
+
+// Function to add and remove bridged channels, keeping the configured order
+// Added channels load their stored messages and, once the bot is ready, fetch their history from Discord
+async function applyChannelChanges(previousIds) {
+    const removedIds = previousIds.filter(id => !config.channels.includes(id));
+    const addedStates = [];
+    const existing = new Map(channels);
+    
+    channels.clear();
+    config.channels.forEach(id => {
+        let state = existing.get(id);
+        if (!state) {
+            state = createChannelState(id);
+            addedStates.push(state);
+        }
+        channels.set(id, state);
+    });
+    
+    for (const [threadId, threadState] of threads) {
+        if (removedIds.includes(threadState.parent.id)) {
+            threads.delete(threadId);
+        }
+    }
+    
+    for (const state of addedStates) {
+        try {
+            state.messages = await messageStore.getMessages(state.id, { limit: config.maxMessages });
+        } catch (error) {
+            console.error(`[STORAGE] Error loading stored messages for ${state.id}:`, error.message);
+        }
+    }
+    broadcastChannels();
+    
+    if (bridge.isReady()) {
+        for (const state of addedStates) {
+            await startBridging(state);
+            broadcastSnapshot(state);
+        }
+        broadcastChannels(); // Again with the resolved names
+    }
+    
+    console.log(`[CONFIG] Channels: ${addedStates.length} added, ${removedIds.length} removed`);
+}
+
+// Function to reload the settings file after it changes on disk
+async function reloadConfig() {
+    const input = readConfigFile();
+    if (!input) return;
+    
+    const { config: next, errors } = validateConfig(input);
+    if (!next) {
+        console.error(`[CONFIG] Keeping the current settings, ${CONFIG_FILE} is invalid: ${errors.join('; ')}`);
+        return;
+    }
+    
+    try {
+        await applyConfig(next);
+    } catch (error) {
+        console.error('[CONFIG] Error applying settings:', error.message);
+    }
+}
+
+// Function to apply changed settings on top of the file's settings
+// presence and rateLimits (and each rate limit) are merged key by key so a partial object keeps the rest,
+// and a null rate limit drops that override
+function mergeConfigSettings(current, changes) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...current, ...changes };
+    
+    if (isObject(current.presence) && isObject(changes.presence)) {
+        merged.presence = { ...current.presence, ...changes.presence };
+    }
+    if (isObject(changes.rateLimits)) {
+        // A Map keeps names like "__proto__" as plain keys, for validateConfig to reject
+        const rateLimits = new Map(isObject(current.rateLimits) ? Object.entries(current.rateLimits) : []);
+        for (const [name, limit] of Object.entries(changes.rateLimits)) {
+            if (limit === null) {
+                rateLimits.delete(name);
+            } else {
+                rateLimits.set(name, isObject(rateLimits.get(name)) && isObject(limit) ? { ...rateLimits.get(name), ...limit } : limit);
+            }
+        }
+        merged.rateLimits = Object.fromEntries(rateLimits);
+    }
+    return merged;
+}
+
+// Function to write the settings file (atomically, readable only by this user since it holds passwords)
+async function writeConfigFile(settings) {
+    const tempPath = `${CONFIG_FILE}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(settings, null, 4) + '\n', { mode: 0o600 });
+    await fs.promises.rename(tempPath, CONFIG_FILE);
+}
+
+// Function to describe the settings for the admin panel (passwords only say whether they are set)
+function getAdminConfig() {
+    const settings = { ...config };
+    const passwords = {};
+    PASSWORD_SETTINGS.forEach(key => {
+        passwords[key] = Boolean(settings[key]);
+        delete settings[key];
+    });
+    
+    const rateLimits = {};
+    for (const [name, limit] of Object.entries(RATE_LIMITS)) {
+        rateLimits[name] = { burst: limit.burst, perMinute: limit.perMinute };
+    }
+    
+    return {
+        settings: { ...settings, rateLimits },
+        passwords: passwords,
+        channelNames: Object.fromEntries(Array.from(channels.values()).map(state => [state.id, state.name])),
+        perUser: Boolean(webUsers),
+        file: CONFIG_FILE
+    };
+}
+
+// Poll rather than fs.watch so editors that replace the file, and network filesystems, are picked up too
+fs.watchFile(CONFIG_FILE, { interval: CONFIG_WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) reloadConfig();
+});
+
+// Health and metrics (no session needed; METRICS_TOKEN protects /metrics when set)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const PROCESS_START_TIME = Date.now();
+
+// Function to describe the Discord gateway connection
+function getGatewayState() {
+    return {
+        ...bridge.getStatus(),
+        adapter: bridge.name,
+        lastEventAt: lastDiscordEventAt ? new Date(lastDiscordEventAt).toISOString() : null,
+        secondsSinceLastEvent: lastDiscordEventAt ? Math.round((Date.now() - lastDiscordEventAt) / 1000) : null
+    };
+}
+
+// Function to count web users who posted recently (see WEB_ACTIVE_WINDOW)
+function countActiveWebUsers() {
+    const activeSince = Date.now() - WEB_ACTIVE_WINDOW;
+    return Array.from(recentWebUsers.values()).filter(user => Date.parse(user.lastSeen) > activeSince).length;
+}
+
+// Function to render all metrics in the Prometheus text format
+function getMetricsText() {
+    const gateway = getGatewayState();
+    const gauges = {
+        webchat_discord_gateway_up: ['gauge', 'Whether the Discord gateway connection is ready', gateway.connected ? 1 : 0],
+        webchat_discord_gateway_ping_seconds: ['gauge', 'Discord gateway heartbeat round trip', gateway.ping === null ? NaN : gateway.ping / 1000],
+        webchat_discord_last_event_age_seconds: ['gauge', 'Time since the last Discord gateway event', lastDiscordEventAt ? (Date.now() - lastDiscordEventAt) / 1000 : NaN],
+        webchat_active_web_users: ['gauge', `Web users who posted in the last ${WEB_ACTIVE_WINDOW / 60000} minutes`, countActiveWebUsers()],
+        webchat_stream_clients: ['gauge', 'Open web chat event streams', streamClients.size],
+        webchat_bridged_channels: ['gauge', 'Bridged channels and DMs', channels.size],
+        process_resident_memory_bytes: ['gauge', 'Resident memory size', process.memoryUsage().rss],
+        process_start_time_seconds: ['gauge', 'Start time of the process since the Unix epoch', PROCESS_START_TIME / 1000]
+    };
+    const lines = [];
+    
+    for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+        lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+        const series = getMetricSeries(name);
+        
+        if (definition.type === 'histogram') {
+            for (const histogram of series.values()) {
+                LATENCY_BUCKETS.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatMetricLabels({ ...histogram.labels, le: bound })} ${histogram.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${formatMetricLabels({ ...histogram.labels, le: '+Inf' })} ${histogram.count}`);
+                lines.push(`${name}_sum${formatMetricLabels(histogram.labels)} ${histogram.sum}`);
+                lines.push(`${name}_count${formatMetricLabels(histogram.labels)} ${histogram.count}`);
+            }
+        } else {
+            for (const [labels, value] of series) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+        }
+    }
+    
+    for (const [name, [type, help, value]] of Object.entries(gauges)) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`);
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+// Liveness: the web server is up; also reports the Discord gateway for dashboards
+app.get('/healthz', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        gateway: getGatewayState()
+    });
+});
+
+// Readiness: the gateway is connected and stored messages are loaded (503 otherwise)
+app.get('/readyz', (req, res) => {
+    const gateway = getGatewayState();
+    const ready = gateway.connected && storageLoaded;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not ready',
+        storage: storageLoaded ? 'loaded' : 'loading',
+        gateway: gateway
+    });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    res.type('text/plain; version=0.0.4').send(getMetricsText());
+});
+
+// Loopback adapter controls, for tests and demos (DISCORD_ADAPTER=loopback only)
+// With LOOPBACK_CONTROL_TOKEN they need "Authorization: Bearer <token>"; without it only direct requests
+// from this machine work. A reverse proxy on the same host connects from 127.0.0.1 as well, so requests
+// carrying forwarding headers are refused, and with TRUST_PROXY the token is required
+const LOOPBACK_CONTROL_TOKEN = process.env.LOOPBACK_CONTROL_TOKEN || '';
+const FORWARDING_HEADERS = ['forwarded', 'x-forwarded-for', 'x-real-ip', 'cf-connecting-ip'];
+
+// Function to guard the loopback control routes
+function requireLoopbackControl(req, res, next) {
+    if (LOOPBACK_CONTROL_TOKEN) {
+        if (!safeEqual(req.get('Authorization') || '', `Bearer ${LOOPBACK_CONTROL_TOKEN}`)) {
+            return res.status(401).json({ error: 'Invalid loopback control token' });
+        }
+        return next();
+    }
+    
+    const address = req.socket.remoteAddress;
+    const isLocal = address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+    if (!isLocal || process.env.TRUST_PROXY === 'true' || FORWARDING_HEADERS.some(header => req.get(header))) {
+        return res.status(403).json({ error: 'Loopback controls are only available from localhost, or with LOOPBACK_CONTROL_TOKEN' });
+    }
+    next();
+}
+
+// Function to find the channel a loopback control request is about (the first one by default)
+function getLoopbackChannel(req, res) {
+    const state = getChannelState(req.body.channel);
+    if (!state || state.parent) {
+        res.status(404).json({ error: 'Unknown channel' });
+        return null;
+    }
+    return state;
+}
+
+if (bridge.name === 'loopback') {
+    // Files sent and received through the loopback adapter (stand-in for the Discord CDN)
+    app.get('/loopback/files/:id/:name', requireSession, (req, res) => {
+        const file = bridge.getFile(req.params.id);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        
+        // Uploads are user content, so don't let them run scripts on this origin (e.g. SVGs opened directly)
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type(file.contentType).send(file.data);
+    });
+    
+    // What the web side sent, the bot presence and the echo settings
+    app.get('/loopback/state', requireLoopbackControl, (req, res) => {
+        const { channel } = req.query;
+        const state = bridge.getState();
+        res.json({
+            ...state,
+            sent: channel ? state.sent.filter(message => message.channel === channel) : state.sent,
+            channels: getChannelList()
+        });
+    });
+    
+    // Post a message as a Discord user
+    // Body: { channel, author, content, replyTo (message id), bot, attachments: [{ name, contentType, data (base64) }] }
+    app.post('/loopback/messages', requireLoopbackControl, async (req, res) => {
+        try {
+            const state = getLoopbackChannel(req, res);
+            if (!state) return;
+            
+            const { author, content, replyTo, bot, attachments } = req.body;
+            if (!content && !(Array.isArray(attachments) && attachments.length > 0)) {
+                return res.status(400).json({ error: 'Message needs content or attachments' });
+            }
+            
+            const message = await bridge.emitMessage(state, {
+                author: String(author || 'alice').substring(0, 80),
+                content: String(content || ''),
+                replyTo: replyTo || null,
+                bot: Boolean(bot),
+                attachments: Array.isArray(attachments) ? attachments : []
+            });
+            res.json({ success: true, message });
+        } catch (error) {
+            console.error('[API] Error posting loopback message:', error);
+            res.status(500).json({ error: 'Failed to post message' });
+        }
+    });
+    
+    // Show a Discord user typing. Body: { channel, author, timeout (ms) }
+    app.post('/loopback/typing', requireLoopbackControl, (req, res) => {
+        const state = getLoopbackChannel(req, res);
+        if (!state) return;
+        
+        const timeout = Math.min(parseInt(req.body.timeout, 10) || DISCORD_TYPING_TIMEOUT, 60000);
+        bridge.emitTyping(state, String(req.body.author || 'alice').substring(0, 80), timeout);
+        res.json({ success: true });
+    });
+    
+    // Change the echo replies. Body: { echo, replyDelay (ms) }
+    app.post('/loopback/settings', requireLoopbackControl, (req, res) => {
+        const { echo, replyDelay } = req.body;
+        if (echo !== undefined) {
+            bridge.settings.echo = Boolean(echo);
+        }
+        if (replyDelay !== undefined) {
+            const delay = parseInt(replyDelay, 10);
+            if (!(delay >= 0 && delay <= 60000)) {
+                return res.status(400).json({ error: 'replyDelay must be 0-60000 milliseconds' });
+            }
+            bridge.settings.replyDelay = delay;
+        }
+        res.json({ success: true, settings: bridge.settings });
+    });
+    
+    // Forget what the web side sent (between tests)
+    app.post('/loopback/reset', requireLoopbackControl, (req, res) => {
+        bridge.reset();
+        res.json({ success: true });
+    });
+}
+
+// API Routes
+
+// Log in with the shared password or per-user credentials (rate limited)
+app.post('/api/login', passwordRateLimit, (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const credentials = checkCredentials(username, password);
+        if (!credentials) {
+            console.log(`[AUTH] ${new Date().toISOString()} | Failed login${webUsers ? ` for ${username}` : ''}`);
+            return res.status(401).json({ error: webUsers ? 'Invalid username or password' : 'Invalid password' });
+        }
+        
+        const ban = findRestriction(['ban'], credentials.username, getRequestIp(req));
+        if (ban) {
+            return res.status(403).json({ error: 'You are banned from this chat', until: ban.expiresAt });
+        }
+        
+        const session = createSession(req, res, credentials);
+        console.log(`[AUTH] ${new Date().toISOString()} | Login${session.username ? ` as ${session.username}` : ''}${session.role !== 'user' ? ` (${session.role})` : ''}`);
+        
+        res.json({ success: true, username: session.username, role: session.role, perUser: Boolean(webUsers), defaultUsername: config.defaultUsername, sessionTag: getSessionTag(session) });
+    } catch (error) {
+        console.error('[API] Error logging in:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Log out this session, or every session of the user with "everywhere"
+app.post('/api/logout', async (req, res) => {
+    try {
+        const session = getSession(req);
+        if (session) {
+            await revokeSession(session, Boolean(req.body.everywhere));
+            console.log(`[AUTH] ${new Date().toISOString()} | Logout${session.username ? ` of ${session.username}` : ''}${req.body.everywhere ? ' (everywhere)' : ''}`);
+        }
+        
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error logging out:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Report who is logged in so the page can skip the login form
+app.get('/api/session', (req, res) => {
+    const session = getSession(req);
+    res.json({
+        authenticated: Boolean(session),
+        username: session ? session.username : null,
+        role: session ? session.role : null,
+        perUser: Boolean(webUsers),
+        defaultUsername: config.defaultUsername,
+        sessionTag: session ? getSessionTag(session) : null
+    });
+});
+
+// Get the latest messages for a channel, or a page before/after/around a message id cursor
+app.post('/api/messages', requireSession, async (req, res) => {
+    try {
+        const { channel, lastSeen, before, after, around } = req.body;
+        const limit = parseLimit(req.body.limit, config.maxMessages, config.maxMessages);
+        
+        if ([before, after, around].some(cursor => cursor && !isSnowflake(cursor))) {
+            return res.status(400).json({ error: 'Invalid message cursor' });
+        }
+        
+        const state = getChannelState(channel);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        // Update last API request time for presence management
+        lastApiRequest = Date.now();
+        
+        // Count unread messages per channel after the last message id the client has seen
+        const channelList = getChannelList().map(info => {
+            const seenId = lastSeen && lastSeen[info.id];
+            let unread = 0;
+            if (seenId) {
+                const channelMessages = channels.get(info.id).messages;
+                const seenIndex = channelMessages.findIndex(msg => msg.id === seenId);
+                unread = seenIndex === -1 ? channelMessages.length : channelMessages.length - seenIndex - 1;
+            }
+            return { ...info, unread };
+        });
+        
+        if (around) {
+            // A stored message with up to limit/2 messages on each side, for jumping to search results
+            const target = await messageStore.getMessage(state.id, around);
+            if (!target) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            
+            const half = Math.max(Math.floor(limit / 2), 1);
+            const older = await messageStore.getMessages(state.id, { before: around, limit: half });
+            const newer = await messageStore.getMessages(state.id, { after: around, limit: half });
+            return res.json({
+                channel: state.id,
+                messages: older.concat([target], newer),
+                hasMore: true, // Older pages can still come from Discord
+                hasNewer: newer.length >= half,
+                typing: getActiveTypingUsers(state),
+                channels: channelList
+            });
+        }
+        
+        // Threads have no backfilled buffer, so even their latest page comes from the store or Discord
+        if (before || after || state.parent) {
+            const page = await getMessagePage(state, { before, after, limit });
+            return res.json({
+                channel: state.id,
+                messages: page.messages,
+                hasMore: page.hasMore,
+                typing: getActiveTypingUsers(state),
+                channels: channelList
+            });
+        }
+        
+        res.json({ 
+            channel: state.id,
+            messages: state.messages.slice(-limit),
+            typing: getActiveTypingUsers(state),
+            channels: channelList
+        });
+    } catch (error) {
+        console.error('[API] Error getting messages:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List the members of a channel (or the recipient of a DM) with their presence
+app.get('/api/members', requireSession, async (req, res) => {
+    try {
+        const state = getChannelState(req.query.channel);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        let result;
+        try {
+            result = await bridge.getMembers(state);
+        } catch (error) {
+            console.error(`[API] Error listing members for ${state.name}:`, error.message);
+            return res.status(503).json({ error: 'Member list unavailable' });
+        }
+        
+        res.json({
+            channel: state.id,
+            members: result.members,
+            truncated: result.truncated,
+            presence: MEMBER_INTENTS // Statuses are only known with the presence intent
+        });
+    } catch (error) {
+        console.error('[API] Error listing members:', error.message);
+        res.status(500).json({ error: 'Failed to list members' });
+    }
+});
+
+// VAPID public key the browser needs to create a push subscription
+app.get('/api/push/key', requireSession, (req, res) => {
+    if (!pushEnabled) {
+        return res.status(503).json({ error: 'Push notifications are unavailable' });
+    }
+    res.json({ publicKey: vapidKeys.publicKey });
+});
+
+// Register (or update the preferences of) this browser's push subscription
+app.post('/api/push/subscribe', pushRateLimit, requireSession, async (req, res) => {
+    try {
+        if (!pushEnabled) {
+            return res.status(503).json({ error: 'Push notifications are unavailable' });
+        }
+        
+        const { subscription } = req.body;
+        const keys = subscription && subscription.keys;
+        if (!subscription || typeof subscription.endpoint !== 'string' || !isPushServiceEndpoint(subscription.endpoint) ||
+            !keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+            return res.status(400).json({ error: 'Invalid push subscription' });
+        }
+        
+        if (!pushSubscriptions.has(subscription.endpoint) && pushSubscriptions.size >= MAX_PUSH_SUBSCRIPTIONS) {
+            return res.status(503).json({ error: 'Too many push subscriptions' });
+        }
+        
+        const { sid, username, iat, exp } = req.session;
+        pushSubscriptions.set(subscription.endpoint, {
+            subscription: { endpoint: subscription.endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+            session: { sid, username, iat, exp },
+            ip: getRequestIp(req),
+            preferences: parsePushPreferences(req)
+        });
+        await savePushSubscriptions();
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error saving push subscription:', error.message);
+        res.status(500).json({ error: 'Failed to save push subscription' });
+    }
+});
+
+// Stop push notifications for this browser
+app.post('/api/push/unsubscribe', pushRateLimit, requireSession, async (req, res) => {
+    try {
+        const { endpoint } = req.body;
+        if (typeof endpoint === 'string' && pushSubscriptions.delete(endpoint)) {
+            await savePushSubscriptions();
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error removing push subscription:', error.message);
+        res.status(500).json({ error: 'Failed to remove push subscription' });
+    }
+});
+
+// List the tracked threads of a channel, most recently active first
+app.get('/api/threads', requireSession, (req, res) => {
+    try {
+        const state = getChannelState(req.query.channel);
+        if (!state || state.parent) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        const channelThreads = Array.from(threads.values())
+            .filter(thread => thread.parent === state)
+            .map(describeThread)
+            .sort((a, b) => (b.lastMessageAt || b.createdAt).localeCompare(a.lastMessageAt || a.createdAt));
+        
+        res.json({ channel: state.id, threads: channelThreads });
+    } catch (error) {
+        console.error('[API] Error listing threads:', error.message);
+        res.status(500).json({ error: 'Failed to list threads' });
+    }
+});
+
+// Start a thread, from a message when messageId is given
+// Body: { channel, messageId, name }
+app.post('/api/threads', threadRateLimit, requireSession, async (req, res) => {
+    try {
+        const { channel: channelId, messageId } = req.body;
+        const name = String(req.body.name || '').trim();
+        const author = getWebUsername(req);
+        
+        if (rejectRestricted(req, res, author)) return;
+        
+        if (!name || name.length > 100) {
+            return res.status(400).json({ error: 'Thread names must be 1-100 characters' });
+        }
+        if (messageId && !isSnowflake(messageId)) {
+            return res.status(400).json({ error: 'Invalid message id' });
+        }
+        
+        const state = getChannelState(channelId);
+        if (!state || state.parent) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        const reason = `Started by ${author} from the web chat`;
+        const threadState = await bridge.startThread(state, { name, messageId, reason });
+        trackWebUser(req, author);
+        console.log(`[MSG_OUT] ${new Date().toISOString()} | Web->Discord ${state.name} | ${author} started thread: ${name}`);
+        
+        res.json({ success: true, thread: describeThread(threadState) });
+    } catch (error) {
+        if (rejectDiscordRateLimit(res, error) || rejectBridgeError(res, error)) return;
+        console.error('[API] Error starting thread:', error);
+        res.status(500).json({ error: 'Failed to start thread' });
+    }
+});
+
+// Search stored messages across one channel (or all of them), newest first
+// Body: { query, channel, author, source, since, until, has, limit, offset }
+app.post('/api/search', searchRateLimit, requireSession, async (req, res) => {
+    try {
+        const { query, channel: channelId, author, source, since, until, has } = req.body;
+        const limit = parseLimit(req.body.limit, 25, 100);
+        const offset = Math.max(parseInt(req.body.offset, 10) || 0, 0);
+        
+        const notText = Object.entries({ query, author, source, since, until, has })
+            .find(([, value]) => value !== undefined && value !== null && typeof value !== 'string');
+        if (notText) {
+            return res.status(400).json({ error: `${notText[0]} must be a string` });
+        }
+        
+        // Words, or "quoted phrases", that must all appear in the message
+        const terms = [];
+        for (const [, phrase, word] of String(query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+            terms.push((phrase || word).toLowerCase());
+        }
+        
+        if (source && !['Web', 'Discord', 'Bot', 'Webhook'].includes(source)) {
+            return res.status(400).json({ error: 'Source must be Web, Discord, Bot or Webhook' });
+        }
+        if (has && !/^[a-z]+$/.test(has)) {
+            return res.status(400).json({ error: 'Invalid media type' });
+        }
+        
+        const sinceTime = since ? new Date(since) : null;
+        const untilTime = until ? new Date(until) : null;
+        if ((sinceTime && isNaN(sinceTime)) || (untilTime && isNaN(untilTime))) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        
+        if (terms.length === 0 && !author && !source && !sinceTime && !untilTime && !has) {
+            return res.status(400).json({ error: 'Enter something to search for' });
+        }
+        
+        let states = Array.from(channels.values());
+        if (channelId) {
+            const state = getChannelState(channelId);
+            if (!state) {
+                return res.status(404).json({ error: 'Unknown channel' });
+            }
+            states = [state];
+        }
+        
+        const filters = {
+            terms,
+            author: author || null,
+            source: source || null,
+            since: sinceTime ? sinceTime.toISOString() : null,
+            until: untilTime ? untilTime.toISOString() : null,
+            mediaType: has || null
+        };
+        
+        let results = [];
+        for (const state of states) {
+            const matches = await messageStore.search(state.id, filters);
+            results.push(...matches.map(message => ({ channel: state.id, message })));
+        }
+        results.sort((a, b) => b.message.timestamp.localeCompare(a.message.timestamp));
+        
+        lastApiRequest = Date.now();
+        
+        res.json({
+            results: results.slice(offset, offset + limit),
+            total: results.length,
+            terms: terms
+        });
+    } catch (error) {
+        console.error('[API] Error searching messages:', error);
+        res.status(500).json({ error: 'Failed to search messages' });
+    }
+});
+
+// Download a channel's stored messages as a transcript
+// Query: channel, format (json, html, md or csv), since, until (ISO dates, both optional)
+app.get('/api/export', exportRateLimit, requireSession, async (req, res) => {
+    try {
+        const { channel: channelId, since, until } = req.query;
+        const formatName = req.query.format || 'json';
+        if (typeof formatName !== 'string' || !Object.hasOwn(EXPORT_FORMATS, formatName)) {
+            return res.status(400).json({ error: 'Format must be json, html, md or csv' });
+        }
+        const format = EXPORT_FORMATS[formatName];
+        
+        const state = getChannelState(channelId);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        const sinceTime = since ? new Date(since) : null;
+        const untilTime = until ? new Date(until) : null;
+        if ((sinceTime && isNaN(sinceTime)) || (untilTime && isNaN(untilTime))) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (sinceTime && untilTime && sinceTime > untilTime) {
+            return res.status(400).json({ error: 'The start date must be before the end date' });
+        }
+        
+        const range = {
+            since: sinceTime ? sinceTime.toISOString() : null,
+            until: untilTime ? untilTime.toISOString() : null
+        };
+        const transcript = {
+            channel: { id: state.id, name: state.name, type: state.type },
+            exportedAt: new Date().toISOString(),
+            ...range,
+            messages: await messageStore.search(state.id, range)
+        };
+        
+        const safeName = state.name.replace(/[^\w-]+/g, '') || state.id;
+        const filename = `chat-${safeName}-${transcript.exportedAt.slice(0, 10)}.${format.extension}`;
+        // Render before setting the download headers, so a failure still gets a plain JSON error
+        const body = format.render(transcript);
+        
+        console.log(`[API] ${new Date().toISOString()} | Exported ${transcript.messages.length} messages from ${state.name} as ${format.extension}`);
+        
+        res.set({
+            'Content-Type': `${format.contentType}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(body);
+    } catch (error) {
+        console.error('[API] Error exporting messages:', error);
+        res.status(500).json({ error: 'Failed to export messages' });
+    }
+});
+
+// Stream messages, typing and presence events (Server-Sent Events)
+// EventSource sends the session cookie like any same-origin request
+app.get('/api/stream', requireSession, (req, res) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx response buffering
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+        
+        // Resume from the cursor if we still have every event after it, otherwise send a full snapshot
+        const cursor = req.get('Last-Event-ID') || req.query.cursor || '';
+        const [epoch, seqString] = cursor.split(':');
+        const seq = parseInt(seqString, 10);
+        const oldestSeq = streamEvents.length > 0 ? streamEvents[0].seq : streamSeq + 1;
+        const canResume = epoch === STREAM_EPOCH && !isNaN(seq) && seq <= streamSeq && seq >= oldestSeq - 1;
+        
+        if (canResume) {
+            streamEvents
+                .filter(event => event.seq > seq)
+                .forEach(event => writeStreamEvent(res, event));
+        } else {
+            writeStreamEvent(res, { seq: streamSeq, type: 'channels', data: { channels: getChannelList() } });
+            for (const state of channels.values()) {
+                writeStreamEvent(res, { seq: streamSeq, type: 'snapshot', data: getSnapshot(state) });
+            }
+        }
+        
+        res.locals.session = req.session; // Lets logout and bans close this stream
+        res.locals.ip = getRequestIp(req);
+        streamClients.add(res);
+        lastApiRequest = Date.now();
+        broadcastPresence();
+        console.log(`[STREAM] Client connected (${streamClients.size} active, ${canResume ? 'resumed' : 'snapshot'})`);
+        
+        req.on('close', () => {
+            streamClients.delete(res);
+            broadcastPresence();
+            console.log(`[STREAM] Client disconnected (${streamClients.size} active)`);
+        });
+    } catch (error) {
+        console.error('[API] Error opening stream:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+});
+
+// Handle typing indicators with rate limiting
+app.post('/api/typing', typingRateLimit, requireSession, async (req, res) => {
+    try {
+        const { isTyping, channel } = req.body;
+        
+        const state = getChannelState(channel);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        const user = getWebUsername(req);
+        
+        if (isTyping && rejectRestricted(req, res, user)) return;
+        
+        if (isTyping) {
+            // Add user to typing list until the indicator times out
+            setTypingUser(state, user, user, 'Web', TYPING_TIMEOUT);
+            
+            // Trigger Discord typing indicator
+            await bridge.sendTyping(state);
+        } else {
+            // Remove user from typing list
+            state.typingUsers.delete(user);
+            broadcastTyping(state);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error handling typing indicator:', error);
+        res.status(500).json({ error: 'Failed to handle typing indicator' });
+    }
+});
+
+// Purge recent bot messages (kept for older clients, same as a bots-only moderation purge)
+app.post('/api/purge-bot-messages', purgeRateLimit, requireSession, requireModerator, async (req, res) => {
+    try {
+        const state = getChannelState(req.body.channel);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        const result = await bridge.purgeMessages(state, { count: 100, botsOnly: true });
+        await recordAudit(req, 'purge', { channel: state.id, count: 100, botsOnly: true, deleted: result.deleted.length, skipped: result.skipped });
+        
+        res.json({ 
+            success: true, 
+            removedCount: result.deleted.length,
+            message: `Successfully purged ${result.deleted.length} bot messages` 
+        });
+    } catch (error) {
+        console.error('[API] Error purging bot messages:', error);
+        res.status(500).json({ error: 'Failed to purge bot messages' });
+    }
+});
+
+// Moderation: delete messages in Discord by count, author and/or time range
+app.post('/api/moderation/purge', purgeRateLimit, requireSession, requireModerator, async (req, res) => {
+    try {
+        const { channel: channelId, author, botsOnly } = req.body;
+        const count = parseLimit(req.body.count, 100, MAX_PURGE_MESSAGES);
+        const before = req.body.before ? Date.parse(req.body.before) : null;
+        const after = req.body.after ? Date.parse(req.body.after) : null;
+        
+        if (Number.isNaN(before) || Number.isNaN(after)) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+        
+        const state = getChannelState(channelId);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        try {
+            await bridge.resolveChannel(state);
+        } catch (error) {
+            return res.status(404).json({ error: 'Discord channel/user not found' });
+        }
+        
+        const filters = { count, author: author ? String(author) : null, botsOnly: Boolean(botsOnly), before, after };
+        const result = await bridge.purgeMessages(state, filters);
+        
+        await recordAudit(req, 'purge', {
+            channel: state.id,
+            count: count,
+            author: filters.author,
+            botsOnly: filters.botsOnly,
+            before: req.body.before || null,
+            after: req.body.after || null,
+            deleted: result.deleted.length,
+            skipped: result.skipped
+        });
+        
+        res.json({ success: true, deletedCount: result.deleted.length, skippedCount: result.skipped });
+    } catch (error) {
+        console.error('[API] Error purging messages:', error);
+        res.status(500).json({ error: 'Failed to purge messages' });
+    }
+});
+
+// Moderation: ban or mute a web username and/or IP (bans also end their sessions' streams)
+app.post('/api/moderation/restrict', requireSession, requireModerator, async (req, res) => {
+    try {
+        const { action, username, ip, reason } = req.body;
+        const minutes = parseFloat(req.body.durationMinutes);
+        
+        if (action !== 'ban' && action !== 'mute') {
+            return res.status(400).json({ error: 'Action must be "ban" or "mute"' });
+        }
+        if (!username && !ip) {
+            return res.status(400).json({ error: 'A username or IP is required' });
+        }
+        
+        const restriction = {
+            id: crypto.randomUUID(),
+            action: action,
+            username: username ? String(username).trim() : null,
+            ip: ip ? normalizeIp(ip) : null,
+            reason: reason ? String(reason).slice(0, 500) : '',
+            createdBy: getModeratorName(req),
+            createdAt: Date.now(),
+            expiresAt: minutes > 0 ? Date.now() + minutes * 60 * 1000 : null // No duration means permanent
+        };
+        
+        restrictions.push(restriction);
+        await saveRestrictions();
+        
+        if (action === 'ban') {
+            closeRestrictedStreams(restriction);
+        }
+        
+        await recordAudit(req, action, {
+            username: restriction.username,
+            ip: restriction.ip,
+            reason: restriction.reason,
+            expiresAt: restriction.expiresAt
+        });
+        
+        res.json({ success: true, restriction });
+    } catch (error) {
+        console.error('[API] Error adding restriction:', error);
+        res.status(500).json({ error: 'Failed to add restriction' });
+    }
+});
+
+// Moderation: lift a ban or mute
+app.post('/api/moderation/unrestrict', requireSession, requireModerator, async (req, res) => {
+    try {
+        const restriction = restrictions.find(item => item.id === req.body.id);
+        if (!restriction) {
+            return res.status(404).json({ error: 'Restriction not found' });
+        }
+        
+        restrictions = restrictions.filter(item => item !== restriction);
+        await saveRestrictions();
+        
+        await recordAudit(req, `un${restriction.action}`, { username: restriction.username, ip: restriction.ip });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error lifting restriction:', error);
+        res.status(500).json({ error: 'Failed to lift restriction' });
+    }
+});
+
+// Moderation: active bans and mutes, plus recent web users and their IPs
+app.get('/api/moderation/restrictions', requireSession, requireModerator, (req, res) => {
+    const now = Date.now();
+    res.json({
+        restrictions: restrictions.filter(restriction => !restriction.expiresAt || restriction.expiresAt > now),
+        recentUsers: Array.from(recentWebUsers.values()).reverse()
+    });
+});
+
+// Moderation: clear stuck typing indicators in one channel, or all of them
+app.post('/api/moderation/clear-typing', requireSession, requireModerator, async (req, res) => {
+    try {
+        const { channel: channelId } = req.body;
+        const targets = channelId ? [getChannelState(channelId)] : Array.from(channels.values());
+        
+        if (targets.includes(null)) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        
+        targets.forEach(state => {
+            state.typingUsers.clear();
+            broadcastTyping(state);
+        });
+        
+        await recordAudit(req, 'clear-typing', { channel: channelId || null });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] Error clearing typing state:', error);
+        res.status(500).json({ error: 'Failed to clear typing state' });
+    }
+});
+
+// Moderation: query the audit log (?action=&moderator=&since=&until=&limit=)
+app.get('/api/moderation/audit', requireSession, requireModerator, async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, 100, 1000);
+        const entries = await queryAudit({
+            action: req.query.action || null,
+            moderator: req.query.moderator || null,
+            since: req.query.since || null,
+            until: req.query.until || null,
+            limit: limit
+        });
+        res.json({ entries });
+    } catch (error) {
+        console.error('[API] Error reading audit log:', error);
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+// Admin: current bridge settings
+app.get('/api/admin/config', requireSession, requireAdmin, (req, res) => {
+    res.json(getAdminConfig());
+});
+
+// Admin: change bridge settings; they are saved to the config file and applied right away
+// Body: { settings } with any of the settings; a password string sets it (hashed), null clears it
+app.post('/api/admin/config', requireSession, requireAdmin, async (req, res) => {
+    try {
+        const { settings } = req.body;
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return res.status(400).json({ error: 'settings must be an object' });
+        }
+        
+        const fileSettings = readConfigFile();
+        if (!fileSettings) {
+            return res.status(500).json({ error: 'The config file can\'t be read, fix it by hand first' });
+        }
+        
+        const updated = mergeConfigSettings(fileSettings, settings);
+        PASSWORD_SETTINGS.forEach(key => {
+            if (settings[key] === null) {
+                updated[key] = '';
+            } else if (typeof settings[key] === 'string' && settings[key] && !settings[key].startsWith('scrypt:')) {
+                updated[key] = hashPassword(settings[key]);
+            }
+        });
+        
+        const { config: next, errors } = validateConfig(updated);
+        if (!next) {
+            return res.status(400).json({ error: errors.join('; '), errors });
+        }
+        if (!webUsers && !next.chatPassword) {
+            return res.status(400).json({ error: 'chatPassword can\'t be cleared without a USERS_FILE' });
+        }
+        
+        await writeConfigFile(updated);
+        const changed = await applyConfig(next);
+        
+        await recordAudit(req, 'config', { changed });
+        
+        res.json({ success: true, changed, ...getAdminConfig() });
+    } catch (error) {
+        console.error('[API] Error saving settings:', error);
+        res.status(500).json({ error: 'Failed to save settings' });
+    }
+});
+
+// Function to send a web user's text message to Discord and record it (for /api/send and the IRC gateway)
+// Checks (sessions, bans, locks, rate limits) are up to the caller. via names the client in the log
+// and origin is the IRC connection it came from, which doesn't get its own message back
+async function relayWebMessage(state, { author, avatarUrl, content, replyTo = null, session, ip, via = 'Web', origin = null }) {
+    try {
+        // Trigger typing indicator before sending
+        await bridge.sendTyping(state);
+        
+        const sent = await bridge.sendMessage(state, {
+            author,
+            avatarUrl,
+            content,
+            replyTo
+        });
+        
+        // Add to our local messages array, keyed by the real Discord message id
+        const messageData = {
+            id: sent.id,
+            author: author,
+            content: content,
+            timestamp: sent.timestamp,
+            source: 'Web',
+            isBot: false,
+            media: [],
+            mentions: sent.mentions,
+            replyTo: replyTo || null,
+            webhookId: sent.webhookId,
+            sessionTag: getSessionTag(session)
+        };
+        
+        // Remove user from typing list since they sent a message
+        if (state.typingUsers.delete(author)) {
+            broadcastTyping(state);
+        }
+        
+        addMessage(state, messageData, origin);
+        rememberWebUser(author, ip);
+        incrementMetric('webchat_messages_out_total', { kind: 'message' });
+        
+        // Log the sent message
+        const replyInfo = replyTo ? ` [Reply to: ${replyTo.author}]` : '';
+        const modeInfo = sent.webhookId ? ' [Webhook]' : '';
+        console.log(`[MSG_OUT] ${new Date().toISOString()} | ${via}->Discord ${state.name} | ${author}: ${content}${replyInfo}${modeInfo}`);
+        
+        return messageData;
+    } catch (error) {
+        incrementMetric('webchat_send_failures_total', { kind: 'message', reason: error instanceof RateLimitError ? 'rate_limited' : 'error' });
+        throw error;
+    }
+}
+
+// Function to keep only the reply fields the bridge uses, as strings; the client sends the quoted message as-is
+function normalizeReplyTo(replyTo) {
+    if (!replyTo || typeof replyTo !== 'object' || !isSnowflake(replyTo.id)) return null;
+    return { id: replyTo.id, author: String(replyTo.author || ''), content: String(replyTo.content || '') };
+}
+
+// Send message to Discord with rate limiting
+app.post('/api/send', sendRateLimit, requireSession, async (req, res) => {
+    try {
+        const { message, channel: channelId, thread: threadId, avatarUrl } = req.body;
+        const replyTo = normalizeReplyTo(req.body.replyTo);
+        const author = getWebUsername(req);
+        
+        if (rejectRestricted(req, res, author)) return;
+        
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Message cannot be empty' });
+        }
+        
+        // Replies in a thread are sent with its id (sending unarchives an archived thread)
+        const state = threadId ? threads.get(threadId) : getChannelState(channelId);
+        if (!state) {
+            return res.status(404).json({ error: threadId ? 'Unknown thread' : 'Unknown channel' });
+        }
+        if (state.locked) {
+            return res.status(403).json({ error: 'This thread is locked' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        try {
+            await bridge.resolveChannel(state);
+        } catch (error) {
+            return res.status(404).json({ error: 'Discord channel/user not found' });
+        }
+        
+        const messageData = await relayWebMessage(state, {
+            author,
+            avatarUrl,
+            content: message,
+            replyTo,
+            session: req.session,
+            ip: getRequestIp(req)
+        });
+        
+        res.json({ success: true, message: 'Message sent', id: messageData.id });
+    } catch (error) {
+        if (rejectDiscordRateLimit(res, error)) return;
+        console.error('[API] Error sending message:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// Upload files from the web and forward them to Discord as attachments
+app.post('/api/upload', uploadRateLimit, requireSession, (req, res, next) => {
+    upload.array('files', UPLOAD_MAX_FILES)(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Files must be smaller than ${formatFileSize(UPLOAD_MAX_FILE_SIZE)}`
+                : error.message;
+            return res.status(status).json({ error: message });
+        }
+        if (error) {
+            return next(error);
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const { message, channel: channelId, avatarUrl } = req.body;
+        const files = req.files || [];
+        const author = getWebUsername(req);
+        
+        if (rejectRestricted(req, res, author)) return;
+        
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+        
+        const state = getChannelState(channelId);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        try {
+            await bridge.resolveChannel(state);
+        } catch (error) {
+            return res.status(404).json({ error: 'Discord channel/user not found' });
+        }
+        
+        const caption = (message || '').trim();
+        
+        // Multipart fields are strings, so the reply arrives as JSON
+        let replyTo = null;
+        try {
+            replyTo = req.body.replyTo ? normalizeReplyTo(JSON.parse(req.body.replyTo)) : null;
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid reply data' });
+        }
+        
+        const sent = await bridge.sendMessage(state, {
+            author,
+            avatarUrl,
+            content: caption,
+            files: files.map(file => ({
+                attachment: file.buffer,
+                name: file.originalname,
+                contentType: file.mimetype
+            })),
+            replyTo
+        });
+        
+        const messageData = {
+            id: sent.id,
+            author: author,
+            content: caption,
+            timestamp: sent.timestamp,
+            source: 'Web',
+            isBot: false,
+            media: sent.media,
+            mentions: sent.mentions,
+            replyTo: replyTo,
+            webhookId: sent.webhookId,
+            sessionTag: getSessionTag(req.session)
+        };
+        
+        if (state.typingUsers.delete(author)) {
+            broadcastTyping(state);
+        }
+        
+        addMessage(state, messageData);
+        trackWebUser(req, author);
+        incrementMetric('webchat_messages_out_total', { kind: 'upload' });
+        
+        const fileInfo = files.map(file => `${file.originalname} (${file.mimetype}, ${file.size}B)`).join(', ');
+        console.log(`[MSG_OUT] ${new Date().toISOString()} | Web->Discord ${state.name} | ${author}: ${caption || '(no caption)'} [Files: ${fileInfo}]`);
+        
+        res.json({ success: true, message: 'Files sent', id: messageData.id, media: messageData.media });
+    } catch (error) {
+        incrementMetric('webchat_send_failures_total', { kind: 'upload', reason: error instanceof RateLimitError ? 'rate_limited' : 'error' });
+        if (rejectDiscordRateLimit(res, error)) return;
+        console.error('[API] Error uploading files:', error);
+        res.status(500).json({ error: 'Failed to upload files' });
+    }
+});
+
+// Function to find a web-authored message the caller may change, checking it still exists in Discord
+// Sends the error response itself and returns null when the request can't go ahead
+async function getEditableWebMessage(req, res) {
+    const { channel: channelId, id } = req.body;
+    
+    const state = getChannelState(channelId);
+    if (!state) {
+        res.status(404).json({ error: 'Unknown channel' });
+        return null;
+    }
+    
+    const existing = id ? await messageStore.getMessage(state.id, id) : null;
+    if (!existing) {
+        res.status(404).json({ error: 'Message not found' });
+        return null;
+    }
+    
+    // Only web messages from the same account, or with the shared password from the same login
+    // (the username is free-form there, so the name alone proves nothing)
+    const isOwn = webUsers ? existing.author === req.session.username : existing.sessionTag === getSessionTag(req.session);
+    if (existing.source !== 'Web' || !isOwn) {
+        res.status(403).json({ error: 'You can only change your own web messages' });
+        return null;
+    }
+    
+    try {
+        await bridge.fetchMessage(state, id);
+    } catch (error) {
+        res.status(404).json({ error: 'Discord message not found' });
+        return null;
+    }
+    
+    return { state, existing };
+}
+
+// Edit a web-authored message
+app.post('/api/edit', editRateLimit, requireSession, async (req, res) => {
+    try {
+        const { message } = req.body;
+        
+        if (rejectRestricted(req, res, getWebUsername(req))) return;
+        
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Message cannot be empty' });
+        }
+        
+        const target = await getEditableWebMessage(req, res);
+        if (!target) return;
+        
+        const { state, existing } = target;
+        if (state.locked) {
+            return res.status(403).json({ error: 'This thread is locked' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        const edited = await bridge.editMessage(state, existing, message);
+        const updated = await updateMessage(state, existing.id, {
+            content: message,
+            mentions: edited.mentions,
+            editedAt: edited.editedAt
+        });
+        
+        console.log(`[MSG_EDIT] ${new Date().toISOString()} | Web->Discord ${state.name} | ${existing.author}: ${message}`);
+        
+        res.json({ success: true, message: updated });
+    } catch (error) {
+        if (rejectDiscordRateLimit(res, error) || rejectBridgeError(res, error)) return;
+        console.error('[API] Error editing message:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+// Delete a web-authored message
+app.post('/api/delete', deleteRateLimit, requireSession, async (req, res) => {
+    try {
+        const target = await getEditableWebMessage(req, res);
+        if (!target) return;
+        
+        const { state, existing } = target;
+        if (state.locked) {
+            return res.status(403).json({ error: 'This thread is locked' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        await bridge.deleteMessage(state, existing);
+        
+        // The messageDelete event will also fire; removing twice is harmless
+        await removeMessages(state, [existing.id]);
+        
+        console.log(`[MSG_DELETE] ${new Date().toISOString()} | Web->Discord ${state.name} | ${existing.author}: ${existing.id}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        if (rejectDiscordRateLimit(res, error) || rejectBridgeError(res, error)) return;
+        console.error('[API] Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// Add or remove a reaction through the bot
+app.post('/api/react', reactRateLimit, requireSession, async (req, res) => {
+    try {
+        const { channel: channelId, id, emoji, remove } = req.body;
+        
+        if (rejectRestricted(req, res, getWebUsername(req))) return;
+        
+        if (!isSnowflake(id)) {
+            return res.status(400).json({ error: 'Invalid message id' });
+        }
+        // A unicode emoji or a custom emoji id
+        if (!emoji || typeof emoji !== 'string' || emoji.length > 64) {
+            return res.status(400).json({ error: 'Emoji is required' });
+        }
+        
+        const state = getChannelState(channelId);
+        if (!state) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        if (rejectLocked(req, res, state)) return;
+        
+        // Update right away rather than waiting for the gateway event (a missing message is a 404 BridgeError)
+        const reactions = await bridge.react(state, id, emoji, Boolean(remove));
+        const updated = await updateMessage(state, id, { reactions });
+        
+        console.log(`[REACT] ${new Date().toISOString()} | Web->Discord ${state.name} | ${remove ? 'removed' : 'added'} ${emoji} on ${id}`);
+        
+        res.json({ success: true, reactions: updated ? updated.reactions : reactions });
+    } catch (error) {
+        if (rejectDiscordRateLimit(res, error) || rejectBridgeError(res, error)) return;
+        console.error('[API] Error updating reaction:', error);
+        res.status(500).json({ error: 'Failed to update reaction' });
+    }
+});
+
+// IRC gateway: an optional IRC server so terminal clients can use the chat (off unless IRC_PORT is set)
+// Clients log in with PASS: the chat password, or with USERS_FILE "username:password" (or the account
+// password with the username as NICK). Each bridged channel is an IRC channel, threads aren't mapped.
+// Messages go out through relayWebMessage like /api/send, replies show as a quoted prefix, and typing
+// is sent as +typing tags to clients that negotiate the message-tags capability
+const IRC_PORT = parseInt(process.env.IRC_PORT || '0', 10);
+const IRC_HOST = process.env.IRC_HOST || '127.0.0.1';
+const IRC_SERVER_NAME = process.env.IRC_SERVER_NAME || 'webchat.local';
+const IRC_TLS_CERT = process.env.IRC_TLS_CERT || '';
+const IRC_TLS_KEY = process.env.IRC_TLS_KEY || '';
+const IRC_HISTORY_LINES = parseInt(process.env.IRC_HISTORY_LINES || '20', 10); // Messages replayed on JOIN
+const IRC_PING_INTERVAL = 60000;
+const IRC_TIMEOUT = 150000; // Clients silent this long (not even answering PINGs) are dropped
+const IRC_REGISTRATION_TIMEOUT = 30000;
+const IRC_MAX_LINE = 8191; // Bytes, IRCv3 tags included
+const IRC_TEXT_BYTES = 400; // Longer messages are split so each line stays under 512 bytes with its prefix
+const IRC_CAPABILITIES = ['message-tags', 'server-time'];
+const IRC_NICK_PATTERN = /^[A-Za-z\[\]\\`_^{|}][A-Za-z0-9\[\]\\`_^{|}-]{0,29}$/;
+const ircConnections = new Set();
+let ircServer = null;
+
+// Function to get the IRC name of a bridged channel: "#general" keeps its name, DMs become "#dm-<user>"
+// and channels that haven't resolved yet use their id
+function getIrcChannelName(state) {
+    let name = state.id;
+    if (state.name.startsWith('#')) name = state.name.slice(1);
+    if (state.name.startsWith('@')) name = `dm-${state.name.slice(1)}`;
+    return `#${name.toLowerCase().replace(/[\s,:\x00-\x1f\x07]+/g, '-')}`;
+}
+
+// Function to find the bridged channel for an IRC channel name ("#<id>" works too)
+function findIrcChannel(name) {
+    const lower = String(name).toLowerCase();
+    for (const state of channels.values()) {
+        if (getIrcChannelName(state) === lower || `#${state.id}` === lower) return state;
+    }
+    return null;
+}
+
+// Function to turn a chat name into a valid IRC nick
+function toIrcNick(name) {
+    const nick = String(name).replace(/[^A-Za-z0-9\[\]\\`_^{|}-]/g, '_').replace(/^(?=[-0-9])/, '_');
+    return nick.substring(0, 30) || 'unknown';
+}
+
+// Function to get the name a connection posts under: the account name, or the nick with the shared password
+function getIrcAuthor(connection) {
+    return webUsers ? connection.session.username : connection.nick;
+}
+
+// Function to send one line to an IRC client; tags are only sent to clients that asked for them
+function ircSend(connection, line, tags = {}) {
+    if (connection.closed) return;
+    
+    const allowed = Object.entries(tags).filter(([key]) =>
+        key === 'time' ? connection.caps.has('server-time') : connection.caps.has('message-tags'));
+    const prefix = allowed.length > 0
+        ? `@${allowed.map(([key, value]) => value === true ? key : `${key}=${escapeIrcTag(value)}`).join(';')} `
+        : '';
+    
+    try {
+        connection.socket.write(`${prefix}${line}\r\n`);
+    } catch (error) {
+        console.error('[IRC] Error writing to client:', error.message);
+    }
+}
+
+// Function to send a numeric reply from the server; the last parameter is sent as trailing text
+function ircReply(connection, numeric, ...params) {
+    const last = params.length > 0 ? ` :${params.pop()}` : '';
+    const middle = params.length > 0 ? ` ${params.join(' ')}` : '';
+    ircSend(connection, `:${IRC_SERVER_NAME} ${numeric} ${connection.nick || '*'}${middle}${last}`);
+}
+
+function escapeIrcTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function unescapeIrcTag(value) {
+    const escapes = { ':': ';', s: ' ', r: '\r', n: '\n', '\\': '\\' };
+    return String(value).replace(/\\(.?)/g, (match, char) => char in escapes ? escapes[char] : char);
+}
+
+// Function to parse an IRC line into { tags, command, params }
+function parseIrcLine(line) {
+    let rest = line;
+    const tags = {};
+    
+    if (rest.startsWith('@')) {
+        const end = rest.indexOf(' ');
+        for (const tag of rest.slice(1, end === -1 ? undefined : end).split(';')) {
+            const separator = tag.indexOf('=');
+            if (separator === -1) {
+                tags[tag] = true;
+            } else {
+                tags[tag.slice(0, separator)] = unescapeIrcTag(tag.slice(separator + 1));
             }
         }
+        rest = end === -1 ? '' : rest.slice(end + 1);
+    }
+    rest = rest.trimStart();
+    if (rest.startsWith(':')) {
+        const end = rest.indexOf(' ');
+        rest = end === -1 ? '' : rest.slice(end + 1).trimStart();
+    }
+    
+    const trailingStart = rest.indexOf(' :');
+    const trailing = trailingStart === -1 ? null : rest.slice(trailingStart + 2);
+    const params = (trailingStart === -1 ? rest : rest.slice(0, trailingStart)).split(' ').filter(Boolean);
+    const command = (params.shift() || '').toUpperCase();
+    if (trailing !== null) params.push(trailing);
+    
+    return { tags, command, params };
+}
 
-        // Add message to our array
-        const messageData = {
-            id: message.id,
-            author: message.author.username || 'Unknown',
-            content: message.content || '',
-            timestamp: new Date().toISOString(),
-            source: source,
-            isBot: isBot,
-            media: mediaUrls,
-            replyTo: replyTo
-        };
+// Function to get the prefix ("nick!user@host") other clients see for a connection
+function getIrcPrefix(connection) {
+    return `${connection.nick}!${toIrcNick(connection.user || connection.nick)}@web`;
+}
+
+// Function to list the IRC connections that have joined a bridged channel
+function getIrcMembers(state) {
+    return Array.from(ircConnections).filter(connection => connection.session && connection.joined.has(state.id));
+}
+
+// Function to send a line to every IRC client in a channel (optionally skipping one)
+function ircSendToChannel(state, line, except = null) {
+    for (const connection of getIrcMembers(state)) {
+        if (connection !== except) ircSend(connection, line);
+    }
+}
+
+// Function to split text into IRC-sized pieces: one per line, long lines cut at a space where possible
+function splitIrcText(text) {
+    const pieces = [];
+    
+    for (const line of String(text).split(/\r?\n/)) {
+        let rest = line;
+        while (Buffer.byteLength(rest) > IRC_TEXT_BYTES) {
+            let cut = IRC_TEXT_BYTES;
+            while (Buffer.byteLength(rest.slice(0, cut)) > IRC_TEXT_BYTES) cut--;
+            const space = rest.lastIndexOf(' ', cut);
+            if (space > cut / 2) cut = space;
+            pieces.push(rest.slice(0, cut));
+            rest = rest.slice(cut).trimStart();
+        }
+        if (rest.trim()) pieces.push(rest);
+    }
+    
+    return pieces;
+}
+
+// Function to turn a bridged message into plain IRC text: mentions and custom emoji by name,
+// replies as a quoted prefix and attachments or stickers as links after the text
+function formatIrcText(message) {
+    const mentions = message.mentions || {};
+    const mentionName = (kind, id, fallback) => mentions[kind] && mentions[kind][id] ? mentions[kind][id].name : fallback;
+    
+    let text = String(message.content || '')
+        .replace(/<@!?(\d+)>/g, (match, id) => `@${mentionName('users', id, 'unknown-user')}`)
+        .replace(/<@&(\d+)>/g, (match, id) => `@${mentionName('roles', id, 'unknown-role')}`)
+        .replace(/<#(\d+)>/g, (match, id) => `#${mentionName('channels', id, 'unknown-channel')}`)
+        .replace(/<a?(:\w+:)\d+>/g, '$1');
+    
+    if (message.replyTo) {
+        const quoted = String(message.replyTo.content || '').replace(/\s+/g, ' ').trim();
+        const snippet = quoted.length > 50 ? `${quoted.substring(0, 50)}...` : quoted;
+        text = `[re ${message.replyTo.author}${snippet ? `: "${snippet}"` : ''}] ${text}`;
+    }
+    
+    const links = (message.media || [])
+        .filter(item => item.type !== 'emoji' && item.url)
+        .map(item => item.type === 'sticker' ? `[sticker ${item.name}] ${item.url}` : item.url);
+    return [text.trim(), ...links].filter(Boolean).join('\n');
+}
+
+// Function to send a bridged message to one IRC client as PRIVMSGs from its author
+function sendIrcMessage(connection, state, message) {
+    const source = String(message.source || 'discord').toLowerCase(); // discord, bot or web
+    const prefix = `${toIrcNick(message.author)}!${source}@${IRC_SERVER_NAME}`;
+    const tags = { time: new Date(message.timestamp).toISOString(), msgid: message.id };
+    
+    for (const piece of splitIrcText(formatIrcText(message))) {
+        ircSend(connection, `:${prefix} PRIVMSG ${getIrcChannelName(state)} :${piece}`, tags);
+    }
+}
+
+// Function to deliver a new bridged message to the IRC clients in its channel (called by addMessage)
+// origin is the connection that sent it, which already shows the message
+function deliverToIrc(state, message, origin = null) {
+    if (ircConnections.size === 0 || state.parent) return;
+    
+    for (const connection of getIrcMembers(state)) {
+        if (connection !== origin) sendIrcMessage(connection, state, message);
+    }
+}
+
+// Function to show who is typing to IRC clients that support tags, as +typing=active / done changes
+// Clients without message-tags just see the messages
+function sendIrcTyping(state) {
+    if (ircConnections.size === 0 || state.parent) return;
+    const typing = getActiveTypingUsers(state);
+    
+    for (const connection of getIrcMembers(state)) {
+        if (!connection.caps.has('message-tags')) continue;
         
-        messages.push(messageData);
+        const author = getIrcAuthor(connection);
+        const current = new Set(typing.filter(entry => entry.name !== author).map(entry => entry.name));
+        const previous = connection.typing.get(state.id) || new Set();
+        const channelName = getIrcChannelName(state);
         
-        // Keep only last MAX_MESSAGES
-        if (messages.length > MAX_MESSAGES) {
-            messages = messages.slice(-MAX_MESSAGES);
+        for (const name of current) {
+            if (!previous.has(name)) {
+                ircSend(connection, `:${toIrcNick(name)}!typing@${IRC_SERVER_NAME} TAGMSG ${channelName}`, { '+typing': 'active' });
+            }
         }
-        
-        // Log the received message
-        try {
-            const mediaInfo = mediaUrls.length > 0 ? ` [Media: ${mediaUrls.length} items]` : '';
-            const replyInfo = replyTo ? ` [Reply to: ${replyTo.author}]` : '';
-            console.log(`[MSG_IN] ${new Date().toISOString()} | Discord | ${message.author.username || 'Unknown'}: ${message.content || '(empty)'}${mediaInfo}${replyInfo}`);
-        } catch (error) {
-            console.error('[BOT] Error logging received message:', error.message);
+        for (const name of previous) {
+            if (!current.has(name)) {
+                ircSend(connection, `:${toIrcNick(name)}!typing@${IRC_SERVER_NAME} TAGMSG ${channelName}`, { '+typing': 'done' });
+            }
         }
-    } catch (error) {
-        console.error('[BOT] Error processing Discord message:', error.message);
+        connection.typing.set(state.id, current);
     }
-});
+}
 
+// Function to get the topic shown for a bridged channel
+function getIrcTopic(state) {
+    const topic = `Bridged with Discord ${state.name}${lockedChannels.has(state.id) ? ' (read-only)' : ''}`;
+    return state.announcement ? `${topic} | ${state.announcement.message.replace(/\s+/g, ' ')}` : topic;
+}
 
+function sendIrcNames(connection, state) {
+    const channelName = getIrcChannelName(state);
+    const nicks = getIrcMembers(state).map(member => member.nick);
+    // Web and Discord users aren't members, they show up as message authors
+    for (let i = 0; i < nicks.length; i += 20) {
+        ircReply(connection, '353', '=', channelName, nicks.slice(i, i + 20).join(' '));
+    }
+    ircReply(connection, '366', channelName, 'End of /NAMES list');
+}
 
-// API Routes
+// Function to join a connection to a bridged channel and replay recent messages
+function joinIrcChannel(connection, state) {
+    if (connection.joined.has(state.id)) return;
+    
+    connection.joined.add(state.id);
+    const channelName = getIrcChannelName(state);
+    ircSendToChannel(state, `:${getIrcPrefix(connection)} JOIN ${channelName}`);
+    ircReply(connection, '332', channelName, getIrcTopic(state));
+    sendIrcNames(connection, state);
+    
+    for (const message of state.messages.slice(-IRC_HISTORY_LINES)) {
+        sendIrcMessage(connection, state, message);
+    }
+    sendIrcTyping(state);
+}
+
+function partIrcChannel(connection, state, reason = '') {
+    if (!connection.joined.has(state.id)) return;
+    
+    ircSendToChannel(state, `:${getIrcPrefix(connection)} PART ${getIrcChannelName(state)}${reason ? ` :${reason}` : ''}`);
+    connection.joined.delete(state.id);
+    connection.typing.delete(state.id);
+}
+
+// Function to finish registration once PASS, NICK and USER are in (and capability negotiation is over)
+function completeIrcRegistration(connection) {
+    if (connection.session || connection.closed || !connection.nick || !connection.user || connection.capNegotiating) return;
+    
+    // Same login limits as the web form: per username with USERS_FILE, per IP otherwise
+    let username = connection.nick;
+    let password = connection.password;
+    if (webUsers && password && password.includes(':')) {
+        const separator = password.indexOf(':');
+        username = password.slice(0, separator);
+        password = password.slice(separator + 1);
+    }
+    const limit = takeRateLimitToken('login', webUsers ? `login:${username.toLowerCase()}` : `ip:${connection.ip}`);
+    if (!limit.allowed) {
+        return closeIrcConnection(connection, `${limit.message} (try again in ${Math.ceil(limit.retryAfter / 1000)}s)`);
+    }
+    
+    const credentials = connection.password ? checkCredentials(username, password) : null;
+    if (!credentials) {
+        console.log(`[AUTH] Failed IRC login from ${connection.ip}`);
+        ircReply(connection, '464', 'Password incorrect');
+        return closeIrcConnection(connection, 'Bad password');
+    }
+    connection.password = null;
+    
+    if (findRestriction(['ban'], credentials.username || connection.nick, connection.ip)) {
+        ircReply(connection, '465', 'You are banned from this chat');
+        return closeIrcConnection(connection, 'Banned');
+    }
+    
+    // Accounts always post under their own name
+    if (webUsers) {
+        const nick = toIrcNick(credentials.username);
+        if (isIrcNickTaken(nick, connection)) {
+            ircReply(connection, '433', nick, `${nick} is already connected`);
+            return closeIrcConnection(connection, 'Already connected');
+        }
+        if (nick !== connection.nick) {
+            ircSend(connection, `:${connection.nick} NICK ${nick}`);
+            connection.nick = nick;
+        }
+    }
+    
+    connection.session = newSession(credentials);
+    lastApiRequest = Date.now();
+    console.log(`[AUTH] IRC login as ${getIrcAuthor(connection)} (${credentials.role}) from ${connection.ip}`);
+    
+    ircReply(connection, '001', `Welcome to the Discord web chat, ${connection.nick}`);
+    ircReply(connection, '002', `Your host is ${IRC_SERVER_NAME}, bridging to Discord`);
+    ircReply(connection, '003', `This server was created ${new Date(PROCESS_START_TIME).toUTCString()}`);
+    ircReply(connection, '004', IRC_SERVER_NAME, 'webchat', 'i', 'nt');
+    ircReply(connection, '005', 'CHANTYPES=#', 'CASEMAPPING=ascii', 'NICKLEN=30', 'NETWORK=DiscordWebChat', 'are supported by this server');
+    ircReply(connection, '375', `- ${IRC_SERVER_NAME} Message of the day -`);
+    ircReply(connection, '372', '- Bridged Discord channels (join them with /join):');
+    for (const state of channels.values()) {
+        ircReply(connection, '372', `-   ${getIrcChannelName(state)}  ${state.name}`);
+    }
+    ircReply(connection, '376', 'End of /MOTD command');
+}
+
+function isIrcNickTaken(nick, except) {
+    const lower = nick.toLowerCase();
+    return Array.from(ircConnections).some(connection =>
+        connection !== except && connection.nick && connection.nick.toLowerCase() === lower);
+}
 
-// Password validation endpoint with rate limiting
-app.post('/api/validate-password', passwordRateLimit, (req, res) => {
+// Function to post a PRIVMSG to a bridged channel, with the same checks as /api/send
+// Problems are reported back as ERR_CANNOTSENDTOCHAN (404) notices on the channel
+async function sendIrcChannelMessage(connection, state, text) {
+    const channelName = getIrcChannelName(state);
+    const author = getIrcAuthor(connection);
+    
+    if (!connection.joined.has(state.id)) {
+        return ircReply(connection, '404', channelName, 'Join the channel first');
+    }
+    if (!isSessionActive(connection.session)) {
+        return closeIrcConnection(connection, 'Session ended');
+    }
+    
+    // CTCP ACTION (/me) becomes italics, other CTCP requests are ignored
+    let content = text;
+    if (content.startsWith('\x01')) {
+        const action = content.match(/^\x01ACTION (.*?)\x01?$/);
+        if (!action) return;
+        content = `*${action[1]}*`;
+    }
+    if (!content.trim()) return;
+    
+    const restriction = findRestriction(['ban', 'mute'], author, connection.ip);
+    if (restriction) {
+        if (restriction.action === 'ban') return closeIrcConnection(connection, 'You are banned from this chat');
+        return ircReply(connection, '404', channelName, 'You are muted');
+    }
+    if (isLockedFor(state, connection.session.role)) {
+        return ircReply(connection, '404', channelName, 'This chat is read-only right now');
+    }
+    
+    const limit = takeRateLimitToken('send', webUsers ? `user:${author.toLowerCase()}` : `session:${connection.session.sid}`);
+    if (!limit.allowed) {
+        return ircReply(connection, '404', channelName, `${limit.message} (try again in ${Math.ceil(limit.retryAfter / 1000)}s)`);
+    }
+    
     try {
-        const { password } = req.body;
-        const isValid = password === process.env.CHAT_PASSWORD;
-        res.json({ valid: isValid });
+        await bridge.resolveChannel(state);
     } catch (error) {
-        console.error('[API] Error validating password:', error.message);
-        res.status(500).json({ error: 'Internal server error' });
+        return ircReply(connection, '404', channelName, 'Discord channel/user not found');
     }
-});
-
-// Get all messages (with password protection)
-app.post('/api/messages', (req, res) => {
+    
     try {
-        const { password } = req.body;
-        if (password !== process.env.CHAT_PASSWORD) {
-            return res.status(401).json({ error: 'Invalid password' });
-        }
-        
-        // Update last API request time for presence management
-        lastApiRequest = Date.now();
-        
-        // Get current typing users (excluding expired ones)
-        const now = Date.now();
-        const activeTypingUsers = [];
-        
-        for (const [username, timestamp] of typingUsers.entries()) {
-            try {
-                if (now - timestamp < 5000) { // 5 second timeout
-                    activeTypingUsers.push(username);
-                } else {
-                    typingUsers.delete(username);
-                }
-            } catch (error) {
-                console.error('[API] Error processing typing user:', error.message);
-                typingUsers.delete(username); // Remove problematic entry
-            }
-        }
-        
-        res.json({ 
-            messages,
-            typing: activeTypingUsers
-        });
+        await relayWebMessage(state, { author, content, session: connection.session, ip: connection.ip, via: 'IRC', origin: connection });
     } catch (error) {
-        console.error('[API] Error getting messages:', error.message);
-        res.status(500).json({ error: 'Internal server error' });
+        if (error instanceof RateLimitError) {
+            return ircReply(connection, '404', channelName, `Discord is rate limiting this channel, try again in ${Math.ceil(Math.max(error.retryAfter || error.timeToReset, 1000) / 1000)}s`);
+        }
+        console.error('[IRC] Error sending message:', error);
+        ircReply(connection, '404', channelName, 'Failed to send message');
     }
-});
+}
 
-// Handle typing indicators with rate limiting
-app.post('/api/typing', typingRateLimit, async (req, res) => {
-    try {
-        const { username, password, isTyping } = req.body;
+// Function to pass an IRC client's +typing tag on to Discord and the web clients
+function handleIrcTyping(connection, state, value) {
+    const author = getIrcAuthor(connection);
+    
+    if (value === 'active') {
+        if (findRestriction(['ban', 'mute'], author, connection.ip) || isLockedFor(state, connection.session.role)) return;
+        const typingKey = webUsers ? `user:${author.toLowerCase()}` : `session:${connection.session.sid}`;
+        if (!takeRateLimitToken('typing', typingKey).allowed) return;
         
-        // Validate password
-        if (password !== process.env.CHAT_PASSWORD) {
-            return res.status(401).json({ error: 'Invalid password' });
+        setTypingUser(state, author, author, 'Web', TYPING_TIMEOUT);
+        bridge.sendTyping(state).catch(error => console.error('[IRC] Error sending typing:', error.message));
+    } else if (state.typingUsers.delete(author)) {
+        broadcastTyping(state);
+    }
+}
+
+// Function to resolve a comma-separated channel list, replying 403 for unknown names
+function getIrcTargetChannels(connection, list) {
+    const states = [];
+    for (const name of String(list || '').split(',').filter(Boolean)) {
+        const state = findIrcChannel(name);
+        if (state) {
+            states.push(state);
+        } else {
+            ircReply(connection, '403', name, 'No such channel');
         }
+    }
+    return states;
+}
+
+// IRC commands available before logging in; everything else needs registration first
+const ircRegistrationCommands = {
+    CAP(connection, params) {
+        const subcommand = (params[0] || '').toUpperCase();
+        const nick = connection.nick || '*';
         
-        const user = username || 'elianka';
-        
-        if (isTyping) {
-            // Add user to typing list
-            typingUsers.set(user, Date.now());
-            
-            // Trigger Discord typing indicator
-            await triggerDiscordTyping(process.env.DISCORD_CHANNEL_ID);
-            
-            // Set timeout to remove user from typing list
-            setTimeout(() => {
-                const lastTyping = typingUsers.get(user);
-                if (lastTyping && Date.now() - lastTyping >= TYPING_TIMEOUT - 100) {
-                    typingUsers.delete(user);
+        if (subcommand === 'LS') {
+            if (!connection.session) connection.capNegotiating = true;
+            ircSend(connection, `:${IRC_SERVER_NAME} CAP ${nick} LS :${IRC_CAPABILITIES.join(' ')}`);
+        } else if (subcommand === 'LIST') {
+            ircSend(connection, `:${IRC_SERVER_NAME} CAP ${nick} LIST :${Array.from(connection.caps).join(' ')}`);
+        } else if (subcommand === 'REQ') {
+            const requested = String(params[1] || '').split(' ').filter(Boolean);
+            if (!connection.session) connection.capNegotiating = true;
+            if (requested.every(cap => IRC_CAPABILITIES.includes(cap.replace(/^-/, '')))) {
+                for (const cap of requested) {
+                    if (cap.startsWith('-')) connection.caps.delete(cap.slice(1)); else connection.caps.add(cap);
                 }
-            }, TYPING_TIMEOUT);
+                ircSend(connection, `:${IRC_SERVER_NAME} CAP ${nick} ACK :${requested.join(' ')}`);
+            } else {
+                ircSend(connection, `:${IRC_SERVER_NAME} CAP ${nick} NAK :${requested.join(' ')}`);
+            }
+        } else if (subcommand === 'END') {
+            connection.capNegotiating = false;
+            completeIrcRegistration(connection);
         } else {
-            // Remove user from typing list
-            typingUsers.delete(user);
+            ircReply(connection, '410', subcommand || '*', 'Invalid CAP command');
+        }
+    },
+    
+    PASS(connection, params) {
+        if (connection.session) return ircReply(connection, '462', 'You may not reregister');
+        if (params.length === 0) return ircReply(connection, '461', 'PASS', 'Not enough parameters');
+        connection.password = params[0];
+    },
+    
+    NICK(connection, params) {
+        const nick = params[0];
+        if (!nick) return ircReply(connection, '431', 'No nickname given');
+        if (!IRC_NICK_PATTERN.test(nick)) return ircReply(connection, '432', nick, 'Erroneous nickname');
+        if (nick === connection.nick) return;
+        if (connection.session && webUsers) {
+            return ircReply(connection, '432', nick, 'Your nick is your account name');
         }
+        if (isIrcNickTaken(nick, connection)) return ircReply(connection, '433', nick, 'Nickname is already in use');
         
-        res.json({ success: true });
-    } catch (error) {
-        console.error('[API] Error handling typing indicator:', error);
-        res.status(500).json({ error: 'Failed to handle typing indicator' });
+        if (connection.session) {
+            // Tell everyone sharing a channel (and the client itself) about the change
+            const line = `:${getIrcPrefix(connection)} NICK ${nick}`;
+            const notified = new Set([connection]);
+            ircSend(connection, line);
+            for (const state of channels.values()) {
+                if (!connection.joined.has(state.id)) continue;
+                for (const member of getIrcMembers(state)) {
+                    if (!notified.has(member)) {
+                        notified.add(member);
+                        ircSend(member, line);
+                    }
+                }
+            }
+        }
+        connection.nick = nick;
+        completeIrcRegistration(connection);
+    },
+    
+    USER(connection, params) {
+        if (connection.session) return ircReply(connection, '462', 'You may not reregister');
+        if (params.length < 4) return ircReply(connection, '461', 'USER', 'Not enough parameters');
+        connection.user = params[0];
+        completeIrcRegistration(connection);
+    },
+    
+    PING(connection, params) {
+        ircSend(connection, `:${IRC_SERVER_NAME} PONG ${IRC_SERVER_NAME} :${params[0] || ''}`);
+    },
+    
+    PONG() {},
+    
+    QUIT(connection, params) {
+        closeIrcConnection(connection, params[0] || 'Client quit');
     }
-});
+};
 
-// Purge bot messages endpoint
-app.post('/api/purge-bot-messages', messageRateLimit, (req, res) => {
-    try {
-        const { password } = req.body;
-        
-        // Validate password
-        if (password !== process.env.CHAT_PASSWORD) {
-            return res.status(401).json({ error: 'Invalid password' });
+const ircCommands = {
+    JOIN(connection, params) {
+        if (params[0] === '0') {
+            for (const state of channels.values()) partIrcChannel(connection, state);
+            return;
         }
-        
-        // Count bot messages before purging
-        const botMessagesBefore = messages.filter(msg => msg.isBot).length;
-        
-        // Remove last 100 bot messages
-        let removedCount = 0;
-        for (let i = messages.length - 1; i >= 0 && removedCount < 100; i--) {
-            if (messages[i].isBot) {
-                messages.splice(i, 1);
-                removedCount++;
+        if (!params[0]) return ircReply(connection, '461', 'JOIN', 'Not enough parameters');
+        for (const state of getIrcTargetChannels(connection, params[0])) {
+            joinIrcChannel(connection, state);
+        }
+    },
+    
+    PART(connection, params) {
+        if (!params[0]) return ircReply(connection, '461', 'PART', 'Not enough parameters');
+        for (const state of getIrcTargetChannels(connection, params[0])) {
+            if (!connection.joined.has(state.id)) {
+                ircReply(connection, '442', getIrcChannelName(state), "You're not on that channel");
+                continue;
             }
+            partIrcChannel(connection, state, params[1]);
         }
+    },
+    
+    async PRIVMSG(connection, params) {
+        if (params.length < 2) return ircReply(connection, params.length === 0 ? '411' : '412', 'No recipient or text given');
         
-        console.log(`[API] Purged ${removedCount} bot messages`);
-        res.json({ 
-            success: true, 
-            removedCount: removedCount,
-            message: `Successfully purged ${removedCount} bot messages` 
-        });
-    } catch (error) {
-        console.error('[API] Error purging bot messages:', error);
-        res.status(500).json({ error: 'Failed to purge bot messages' });
+        for (const target of params[0].split(',')) {
+            if (!target.startsWith('#')) {
+                ircSend(connection, `:${IRC_SERVER_NAME} NOTICE ${connection.nick} :Private messages aren't bridged, talk in a channel`);
+                continue;
+            }
+            const state = findIrcChannel(target);
+            if (!state) {
+                ircReply(connection, '403', target, 'No such channel');
+                continue;
+            }
+            await sendIrcChannelMessage(connection, state, params[1]);
+        }
+    },
+    
+    // NOTICEs must never trigger replies, so they're dropped
+    NOTICE() {},
+    
+    TAGMSG(connection, params, tags) {
+        const state = params[0] ? findIrcChannel(params[0]) : null;
+        if (!state || !connection.joined.has(state.id) || typeof tags['+typing'] !== 'string') return;
+        handleIrcTyping(connection, state, tags['+typing']);
+    },
+    
+    NAMES(connection, params) {
+        for (const state of getIrcTargetChannels(connection, params[0])) {
+            sendIrcNames(connection, state);
+        }
+    },
+    
+    TOPIC(connection, params) {
+        const state = params[0] ? findIrcChannel(params[0]) : null;
+        if (!state) return ircReply(connection, '403', params[0] || '*', 'No such channel');
+        if (params.length > 1) return ircReply(connection, '482', getIrcChannelName(state), 'The topic comes from Discord');
+        ircReply(connection, '332', getIrcChannelName(state), getIrcTopic(state));
+    },
+    
+    LIST(connection) {
+        ircReply(connection, '321', 'Channel', 'Users  Name');
+        for (const state of channels.values()) {
+            ircReply(connection, '322', getIrcChannelName(state), String(getIrcMembers(state).length), getIrcTopic(state));
+        }
+        ircReply(connection, '323', 'End of /LIST');
+    },
+    
+    WHO(connection, params) {
+        const state = params[0] ? findIrcChannel(params[0]) : null;
+        if (state) {
+            for (const member of getIrcMembers(state)) {
+                ircReply(connection, '352', getIrcChannelName(state), toIrcNick(member.user || member.nick), 'web', IRC_SERVER_NAME, member.nick, 'H', `0 ${member.nick}`);
+            }
+        }
+        ircReply(connection, '315', params[0] || '*', 'End of /WHO list');
+    },
+    
+    MODE(connection, params) {
+        if (!params[0]) return ircReply(connection, '461', 'MODE', 'Not enough parameters');
+        if (params[0].startsWith('#')) {
+            const state = findIrcChannel(params[0]);
+            if (!state) return ircReply(connection, '403', params[0], 'No such channel');
+            if (params.length === 1) return ircReply(connection, '324', getIrcChannelName(state), '+nt');
+            if (params[1] === 'b' || params[1] === '+b') return ircReply(connection, '368', getIrcChannelName(state), 'End of channel ban list');
+            return ircReply(connection, '482', getIrcChannelName(state), 'Channel modes are managed from Discord');
+        }
+        if (params.length === 1) ircReply(connection, '221', '+i');
+    },
+    
+    AWAY(connection, params) {
+        ircReply(connection, params[0] ? '306' : '305', params[0] ? 'You have been marked as being away' : 'You are no longer marked as being away');
     }
-});
+};
 
-// Send message to Discord with rate limiting
-app.post('/api/send', messageRateLimit, async (req, res) => {
-    try {
-        const { message, username, password, replyTo } = req.body;
-        
-        // Validate password first
-        if (password !== process.env.CHAT_PASSWORD) {
-            return res.status(401).json({ error: 'Invalid password' });
+// Function to handle one line from an IRC client
+async function handleIrcLine(connection, line) {
+    if (connection.closed) return;
+    const { tags, command, params } = parseIrcLine(line);
+    if (!command) return;
+    
+    if (ircRegistrationCommands[command]) {
+        return ircRegistrationCommands[command](connection, params, tags);
+    }
+    if (!connection.session) {
+        return ircReply(connection, '451', 'You have not registered');
+    }
+    
+    // IRC clients count as web activity for the bot's presence
+    lastApiRequest = Date.now();
+    
+    if (ircCommands[command]) {
+        return ircCommands[command](connection, params, tags);
+    }
+    ircReply(connection, '421', command, 'Unknown command');
+}
+
+// Function to drop an IRC client, telling the channels it was in
+function closeIrcConnection(connection, reason) {
+    if (connection.closed) return;
+    
+    ircSend(connection, `ERROR :Closing link: ${reason}`);
+    connection.closed = true;
+    ircConnections.delete(connection);
+    
+    if (connection.session) {
+        const author = getIrcAuthor(connection);
+        for (const state of channels.values()) {
+            if (!connection.joined.has(state.id)) continue;
+            ircSendToChannel(state, `:${getIrcPrefix(connection)} QUIT :${reason}`);
+            if (state.typingUsers.delete(author)) broadcastTyping(state);
         }
-        
-        if (!message || !message.trim()) {
-            return res.status(400).json({ error: 'Message cannot be empty' });
+        console.log(`[IRC] ${connection.nick} disconnected: ${reason}`);
+    }
+    connection.socket.end();
+    setTimeout(() => connection.socket.destroy(), 1000);
+}
+
+// Function to close IRC connections whose session was revoked or whose user was banned
+function closeEndedIrcConnections() {
+    for (const connection of ircConnections) {
+        if (!connection.session) continue;
+        if (!isSessionActive(connection.session)) {
+            closeIrcConnection(connection, 'Session ended');
+        } else if (findRestriction(['ban'], getIrcAuthor(connection), connection.ip)) {
+            closeIrcConnection(connection, 'You are banned from this chat');
         }
-        
-        let channel;
-        try {
-            // Try to fetch as a channel first
-            channel = await client.channels.fetch(process.env.DISCORD_CHANNEL_ID);
-        } catch (error) {
-            // If that fails, try to fetch as a user and create DM
-            try {
-                const user = await client.users.fetch(process.env.DISCORD_CHANNEL_ID);
-                channel = await user.createDM();
-            } catch (dmError) {
-                return res.status(404).json({ error: 'Discord channel/user not found' });
-            }
+    }
+}
+
+// Function to set up a new IRC client connection
+function handleIrcConnection(socket) {
+    const connection = {
+        socket: socket,
+        ip: normalizeIp(socket.remoteAddress),
+        connectedAt: Date.now(),
+        lastSeen: Date.now(),
+        nick: null,
+        user: null,
+        password: null,
+        session: null, // Set once PASS, NICK and USER check out
+        caps: new Set(),
+        capNegotiating: false,
+        joined: new Set(), // Bridged channel ids
+        typing: new Map(), // Channel id -> names last shown as typing
+        queue: Promise.resolve(), // Lines are handled one at a time, in order
+        closed: false
+    };
+    ircConnections.add(connection);
+    
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        if (Buffer.byteLength(buffer) > IRC_MAX_LINE) {
+            return closeIrcConnection(connection, 'Line too long');
         }
         
-        // Trigger typing indicator before sending
-        await triggerDiscordTyping(process.env.DISCORD_CHANNEL_ID);
-        
-        // Prepare message options
-        const messageOptions = {
-            content: `**${username || 'elianka'}**: ${message}`
-        };
-        
-        // Add Discord reply if this is a reply to a Discord message
-        if (replyTo && replyTo.id) {
-            try {
-                // Try to fetch the original message to reply to
-                const originalMessage = await channel.messages.fetch(replyTo.id);
-                if (originalMessage) {
-                    messageOptions.reply = {
-                        messageReference: originalMessage,
-                        failIfNotExists: false
-                    };
-                }
-            } catch (error) {
-                console.log('[API] Could not fetch original message for reply, sending as regular message:', error.message);
-                // Fallback to text-based reply if Discord reply fails
-                messageOptions.content = `**${username || 'elianka'}** replying to **${replyTo.author}**: "${replyTo.content.substring(0, 100)}${replyTo.content.length > 100 ? '...' : ''}"
-${message}`;
+        for (const rawLine of lines) {
+            const line = rawLine.replace(/\r$/, '');
+            connection.lastSeen = Date.now();
+            if (!line) continue;
+            if (Buffer.byteLength(line) > IRC_MAX_LINE) {
+                ircReply(connection, '417', 'Input line was too long');
+                continue;
             }
+            connection.queue = connection.queue
+                .then(() => handleIrcLine(connection, line))
+                .catch(error => console.error('[IRC] Error handling command:', error));
         }
-        
-        await channel.send(messageOptions);
-        
-        // Add to our local messages array
-        const messageData = {
-            id: Date.now().toString(),
-            author: username || 'elianka',
-            content: message,
-            timestamp: new Date().toISOString(),
-            source: 'Web',
-            isBot: false,
-            media: [],
-            replyTo: replyTo || null
-        };
-        
-        // Remove user from typing list since they sent a message
-        typingUsers.delete(username || 'elianka');
-        
-        messages.push(messageData);
-        
-        // Keep only last MAX_MESSAGES
-        if (messages.length > MAX_MESSAGES) {
-            messages = messages.slice(-MAX_MESSAGES);
+    });
+    socket.on('error', (error) => {
+        console.error('[IRC] Socket error:', error.message);
+    });
+    socket.on('close', () => {
+        closeIrcConnection(connection, 'Connection closed');
+    });
+}
+
+// Function to ping IRC clients and drop ones that stopped answering, never logged in, or lost their session
+function checkIrcConnections() {
+    const now = Date.now();
+    
+    for (const connection of ircConnections) {
+        if (!connection.session) {
+            if (now - connection.connectedAt > IRC_REGISTRATION_TIMEOUT) closeIrcConnection(connection, 'Registration timed out');
+        } else if (now - connection.lastSeen > IRC_TIMEOUT) {
+            closeIrcConnection(connection, 'Ping timeout');
+        } else {
+            ircSend(connection, `PING :${IRC_SERVER_NAME}`);
         }
-        
-        // Log the sent message
-        const replyInfo = replyTo ? ` [Reply to: ${replyTo.author}]` : '';
-        console.log(`[MSG_OUT] ${new Date().toISOString()} | Web->Discord | ${username || 'elianka'}: ${message}${replyInfo}`);
-        
-        res.json({ success: true, message: 'Message sent' });
+    }
+    closeEndedIrcConnections();
+}
+
+// Function to start the IRC listener when IRC_PORT is set (TLS when IRC_TLS_CERT and IRC_TLS_KEY are)
+function startIrcGateway() {
+    if (!IRC_PORT) return;
+    
+    try {
+        ircServer = IRC_TLS_CERT && IRC_TLS_KEY
+            ? tls.createServer({ cert: fs.readFileSync(IRC_TLS_CERT), key: fs.readFileSync(IRC_TLS_KEY) }, handleIrcConnection)
+            : net.createServer(handleIrcConnection);
     } catch (error) {
-        console.error('[API] Error sending message:', error);
-        res.status(500).json({ error: 'Failed to send message' });
+        console.error('[IRC] Error loading TLS certificate:', error.message);
+        return;
     }
-});
+    
+    ircServer.on('error', (error) => {
+        console.error('[IRC] Server error:', error.message);
+    });
+    ircServer.listen(IRC_PORT, IRC_HOST, () => {
+        console.log(`[IRC] Gateway listening on ${IRC_HOST}:${IRC_PORT}${ircServer instanceof tls.Server ? ' (TLS)' : ''}`);
+    });
+    setInterval(checkIrcConnections, IRC_PING_INTERVAL);
+}
+
+// Function to disconnect IRC clients and stop listening, on shutdown
+function closeIrcGateway() {
+    if (!ircServer) return;
+    
+    for (const connection of ircConnections) {
+        closeIrcConnection(connection, 'Server shutting down');
+    }
+    ircServer.close();
+}
 
 // Global error handlers for uncaught exceptions and rejections
 process.on('uncaughtException', (error) => {
@@ -838,15 +6117,30 @@ process.on('unhandledRejection', (reason, promise) => {
 const server = app.listen(PORT, () => {
     console.log(`[SERVER] Server running on http://localhost:${PORT}`);
 });
+startIrcGateway();
 
 // Handle server errors
 server.on('error', (error) => {
     console.error('[SERVER] Server error:', error.message);
 });
 
+// End open event streams so server.close() doesn't wait on them
+function closeStreamClients() {
+    for (const res of streamClients) {
+        try {
+            res.end();
+        } catch (error) {
+            console.error('[STREAM] Error closing stream:', error.message);
+        }
+    }
+    streamClients.clear();
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('[SERVER] Received SIGINT, shutting down gracefully...');
+    closeStreamClients();
+    closeIrcGateway();
     server.close(() => {
         console.log('[SERVER] Server closed');
         if (client) {
@@ -859,6 +6153,8 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('[SERVER] Received SIGTERM, shutting down gracefully...');
+    closeStreamClients();
+    closeIrcGateway();
     server.close(() => {
         console.log('[SERVER] Server closed');
         if (client) {
@@ -869,8 +6165,8 @@ process.on('SIGTERM', () => {
     });
 });
 
-// Login to Discord
-client.login(process.env.DISCORD_BOT_TOKEN).catch((error) => {
+// Login to Discord (or start the loopback adapter)
+bridge.start().catch((error) => {
     console.error('[BOT] Failed to login to Discord:', error.message);
     // Don't exit - allow the web server to continue running even if Discord fails
 });
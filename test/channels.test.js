@@ -0,0 +1,39 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const FIRST = '200000000000000001';
+const SECOND = '200000000000000002';
+
+describe('several bridged channels', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer({ env: { DISCORD_CHANNEL_IDS: `${FIRST}, ${SECOND}` } });
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('lists every configured channel', async () => {
+        const { body } = await server.request('POST', '/api/messages', { cookie, body: {} });
+        assert.deepStrictEqual(body.channels.map(channel => channel.id), [FIRST, SECOND]);
+        assert.strictEqual(body.channel, FIRST, 'the first channel is the default');
+    });
+    
+    test('keeps messages apart per channel', async () => {
+        await server.request('POST', '/api/send', { cookie, body: { channel: SECOND, message: 'only in the second' } });
+        
+        const first = await server.request('POST', '/api/messages', { cookie, body: { channel: FIRST } });
+        const second = await server.request('POST', '/api/messages', { cookie, body: { channel: SECOND } });
+        assert.ok(!first.body.messages.some(msg => msg.content === 'only in the second'));
+        assert.ok(second.body.messages.some(msg => msg.content === 'only in the second'));
+    });
+    
+    test('rejects channels that are not bridged', async () => {
+        const messages = await server.request('POST', '/api/messages', { cookie, body: { channel: '300000000000000003' } });
+        assert.strictEqual(messages.status, 404);
+        const sent = await server.request('POST', '/api/send', { cookie, body: { channel: '300000000000000003', message: 'hi' } });
+        assert.strictEqual(sent.status, 404);
+    });
+});
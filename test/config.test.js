@@ -0,0 +1,61 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('runtime settings', () => {
+    let server;
+    let admin;
+    
+    before(async () => {
+        server = await startServer({
+            env: { RATE_LIMITS: JSON.stringify({ send: { perMinute: 30 }, edit: { burst: 4, perMinute: 40 } }) },
+            files: { 'config.json': { rateLimits: { send: { burst: 9 } } } }
+        });
+        admin = await server.login('admin-password');
+    });
+    after(() => server.stop());
+    
+    // Function to read the effective settings
+    async function getSettings() {
+        const { status, body } = await server.request('GET', '/api/admin/config', { cookie: admin });
+        assert.strictEqual(status, 200);
+        return body.settings;
+    }
+    
+    test('merges the file over RATE_LIMITS per route', async () => {
+        const { rateLimits } = await getSettings();
+        assert.deepStrictEqual(rateLimits.send, { burst: 9, perMinute: 30 });
+        assert.deepStrictEqual(rateLimits.edit, { burst: 4, perMinute: 40 });
+        assert.deepStrictEqual(rateLimits.upload, { burst: 3, perMinute: 20 });
+    });
+    
+    test('keeps the rest of nested settings on partial changes', async () => {
+        const before = await getSettings();
+        const { status } = await server.request('POST', '/api/admin/config', {
+            cookie: admin,
+            body: { settings: { presence: { idleText: 'Away' }, rateLimits: { send: { perMinute: 50 } } } }
+        });
+        assert.strictEqual(status, 200);
+        
+        const { presence, rateLimits } = await getSettings();
+        assert.deepStrictEqual(presence, { ...before.presence, idleText: 'Away' });
+        assert.deepStrictEqual(rateLimits.send, { burst: 9, perMinute: 50 });
+    });
+    
+    test('rejects inherited and unknown names', async () => {
+        for (const settings of ['{"__proto__":{"maxMessages":5}}', '{"constructor":1}', '{"rateLimits":{"__proto__":{"burst":1}}}', '{"rateLimits":{"toString":{"burst":1}}}']) {
+            const response = await fetch(`${server.url}/api/admin/config`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Cookie: admin },
+                body: `{"settings":${settings}}`
+            });
+            assert.strictEqual(response.status, 400, settings);
+        }
+    });
+    
+    test('is for admins only', async () => {
+        const user = await server.login();
+        const { status } = await server.request('GET', '/api/admin/config', { cookie: user });
+        assert.strictEqual(status, 403);
+    });
+});
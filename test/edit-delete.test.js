@@ -0,0 +1,70 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('editing and deleting web messages', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer();
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    // Function to send a message from a session and return its id
+    async function send(sessionCookie, message) {
+        const { status, body } = await server.request('POST', '/api/send', { cookie: sessionCookie, body: { channel: DEMO_CHANNEL, message } });
+        assert.strictEqual(status, 200);
+        return body.id;
+    }
+    
+    test('edits own messages', async () => {
+        const id = await send(cookie, 'tpyo');
+        const { status, body } = await server.request('POST', '/api/edit', { cookie, body: { channel: DEMO_CHANNEL, id, message: 'typo' } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.message.content, 'typo');
+        assert.ok(body.message.editedAt);
+    });
+    
+    test('only lets the login that sent a message change it', async () => {
+        const id = await send(cookie, 'mine');
+        const other = await server.login();
+        
+        const edited = await server.request('POST', '/api/edit', { cookie: other, body: { channel: DEMO_CHANNEL, id, message: 'yours now' } });
+        assert.strictEqual(edited.status, 403);
+        const deleted = await server.request('POST', '/api/delete', { cookie: other, body: { channel: DEMO_CHANNEL, id } });
+        assert.strictEqual(deleted.status, 403);
+    });
+    
+    test('rejects edits that are not text', async () => {
+        const id = await send(cookie, 'text');
+        const { status } = await server.request('POST', '/api/edit', { cookie, body: { channel: DEMO_CHANNEL, id, message: ['text'] } });
+        assert.strictEqual(status, 400);
+    });
+    
+    test('refuses edits and deletes in a locked channel', async () => {
+        const id = await send(cookie, 'before the lock');
+        
+        // Messages are written to the store in the background, so wait for it before restarting
+        const storeFile = path.join(server.dir, 'data', `messages-${DEMO_CHANNEL}.jsonl`);
+        while (!fs.readFileSync(storeFile, 'utf8').includes(id)) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        
+        // Channels are locked from Discord (/webchat lock), so restart with the lock saved
+        await server.stop({ keep: true });
+        server = await startServer({ dir: server.dir, files: { 'data/moderation.json': { restrictions: [], lockedChannels: [DEMO_CHANNEL] } } });
+        
+        const edited = await server.request('POST', '/api/edit', { cookie, body: { channel: DEMO_CHANNEL, id, message: 'after the lock' } });
+        assert.strictEqual(edited.status, 403);
+        const deleted = await server.request('POST', '/api/delete', { cookie, body: { channel: DEMO_CHANNEL, id } });
+        assert.strictEqual(deleted.status, 403);
+        assert.strictEqual(deleted.body.error, 'This chat is read-only right now');
+        
+        const { body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+        assert.ok(body.messages.some(msg => msg.id === id && msg.content === 'before the lock'));
+    });
+});
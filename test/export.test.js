@@ -0,0 +1,39 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('transcript export', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ export: { burst: 20, perMinute: 60 } }) } });
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('downloads each format as an attachment', async () => {
+        for (const [format, type] of [['json', 'application/json'], ['html', 'text/html'], ['md', 'text/markdown'], ['csv', 'text/csv']]) {
+            const { status, headers } = await server.request('GET', `/api/export?channel=${DEMO_CHANNEL}&format=${format}`, { cookie });
+            assert.strictEqual(status, 200, format);
+            assert.ok(headers.get('content-type').startsWith(type), format);
+            assert.match(headers.get('content-disposition'), new RegExp(`^attachment; filename=".+\\.${format}"$`));
+        }
+    });
+    
+    test('rejects unknown formats, including inherited property names', async () => {
+        for (const query of ['format=pdf', 'format=toString', 'format=__proto__', 'format=constructor', 'format[]=json']) {
+            const { status, headers, body } = await server.request('GET', `/api/export?channel=${DEMO_CHANNEL}&${query}`, { cookie });
+            assert.strictEqual(status, 400, query);
+            assert.ok(headers.get('content-type').startsWith('application/json'), query);
+            assert.strictEqual(headers.get('content-disposition'), null, query);
+            assert.match(body.error, /Format must be/);
+        }
+        assert.doesNotMatch(server.output, /FATAL/);
+    });
+    
+    test('rejects an invalid date range', async () => {
+        const { status } = await server.request('GET', `/api/export?channel=${DEMO_CHANNEL}&since=2024-02-01&until=2024-01-01`, { cookie });
+        assert.strictEqual(status, 400);
+    });
+});
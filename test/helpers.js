@@ -0,0 +1,200 @@
+// Test helpers: start server.js on the loopback adapter in a temp dir and talk to it over HTTP
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const PASSWORD = 'test-password';
+const DEMO_CHANNEL = '100000000000000001';
+const REQUEST_TIMEOUT = 10000;
+
+// Function to find a free port for the server
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Function to start a server. env adds to or overrides the defaults; files (paths relative to the temp dir)
+// are written first. Pass the dir of a server stopped with { keep: true } to restart it on the same data
+async function startServer({ env = {}, files = {}, dir = null } = {}) {
+    // The temp dir is also the working directory, so the repo's .env and config.json aren't picked up
+    dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'web-chat-test-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    });
+    
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DISCORD_ADAPTER: 'loopback',
+            LOOPBACK_ECHO: 'false',
+            CHAT_PASSWORD: PASSWORD,
+            MODERATOR_PASSWORD: 'moderator-password',
+            ADMIN_PASSWORD: 'admin-password',
+            SESSION_SECRET: 'test-secret',
+            STORAGE_DIR: path.join(dir, 'data'),
+            CONFIG_FILE: path.join(dir, 'config.json'),
+            LOG_LEVEL: 'warn',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    
+    const server = {
+        url: `http://127.0.0.1:${port}`,
+        dir,
+        get output() { return output; },
+        request: (...args) => request(server, ...args),
+        login: (...args) => login(server, ...args),
+        openStream: (...args) => openStream(server, ...args),
+        async stop({ keep = false } = {}) {
+            if (child.exitCode === null) {
+                child.kill();
+            }
+            await exited;
+            if (!keep) {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }
+    };
+    
+    // Wait for the store to load
+    const deadline = Date.now() + 15000;
+    while (true) {
+        if (child.exitCode !== null) {
+            await server.stop();
+            throw new Error(`Server exited early:\n${output}`);
+        }
+        try {
+            const response = await fetch(`${server.url}/readyz`);
+            if (response.ok) break;
+        } catch {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            await server.stop();
+            throw new Error(`Server did not become ready:\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return server;
+}
+
+// Function to make a request. Objects are sent as JSON; the reply body is parsed as JSON when it is JSON
+async function request(server, method, pathname, { body, cookie, headers = {} } = {}) {
+    const response = await fetch(server.url + pathname, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(cookie ? { Cookie: cookie } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT) // A hung route fails its test instead of stalling the run
+    });
+    const text = await response.text();
+    let data = text;
+    if ((response.headers.get('content-type') || '').includes('application/json')) {
+        data = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: data };
+}
+
+// Function to log in and return the session cookie
+async function login(server, password = PASSWORD, username) {
+    const response = await fetch(`${server.url}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+        throw new Error(`Login failed with ${response.status}: ${await response.text()}`);
+    }
+    const cookie = response.headers.getSetCookie().find(value => value.startsWith('chatSession='));
+    return cookie.split(';')[0];
+}
+
+// Function to open /api/stream. Returns { events, next(type, match), close() }; next waits for the first
+// event of that type (and matching, when given) that hasn't been handed out yet
+async function openStream(server, cookie, { cursor } = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/stream`, {
+        headers: { Cookie: cookie, ...(cursor ? { 'Last-Event-ID': cursor } : {}) },
+        signal: controller.signal
+    });
+    if (!response.ok) {
+        controller.abort();
+        throw new Error(`Stream failed with ${response.status}`);
+    }
+    
+    const events = [];
+    const taken = new Set();
+    let waiting = null;
+    (async () => {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const fields = {};
+                    buffer.slice(0, end).split('\n').forEach(line => {
+                        const colon = line.indexOf(': ');
+                        if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 2);
+                    });
+                    buffer = buffer.slice(end + 2);
+                    if (fields.event) {
+                        events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                        if (waiting) waiting();
+                    }
+                }
+            }
+        } catch {
+            // Closed
+        }
+    })();
+    
+    return {
+        events,
+        async next(type, match = () => true) {
+            const deadline = Date.now() + REQUEST_TIMEOUT;
+            while (true) {
+                const event = events.find(item => !taken.has(item) && item.type === type && match(item.data));
+                if (event) {
+                    taken.add(event);
+                    return event;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`No ${type} event arrived`);
+                }
+                await new Promise(resolve => {
+                    waiting = resolve;
+                    setTimeout(resolve, 100);
+                });
+            }
+        },
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+module.exports = { startServer, getFreePort, PASSWORD, DEMO_CHANNEL };
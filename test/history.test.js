@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('message history', () => {
+    let server;
+    let cookie;
+    const ids = [];
+    
+    before(async () => {
+        server = await startServer();
+        cookie = await server.login();
+        for (let i = 1; i <= 5; i++) {
+            const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: `message ${i}` } });
+            ids.push(posted.body.message.id);
+        }
+    });
+    after(() => server.stop());
+    
+    // Function to load a page of the demo channel
+    async function getMessages(options) {
+        const { status, body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL, ...options } });
+        assert.strictEqual(status, 200);
+        return body;
+    }
+    
+    test('returns the latest messages up to the limit', async () => {
+        const { messages } = await getMessages({ limit: 2 });
+        assert.deepStrictEqual(messages.map(msg => msg.content), ['message 4', 'message 5']);
+    });
+    
+    test('pages before and after a cursor', async () => {
+        const older = await getMessages({ before: ids[2], limit: 2 });
+        assert.deepStrictEqual(older.messages.map(msg => msg.id), ids.slice(0, 2));
+        
+        const newer = await getMessages({ after: ids[2], limit: 10 });
+        assert.deepStrictEqual(newer.messages.map(msg => msg.id), ids.slice(3));
+    });
+    
+    test('clamps zero and negative limits to one message', async () => {
+        for (const limit of [0, -1, '-50']) {
+            const latest = await getMessages({ limit });
+            assert.deepStrictEqual(latest.messages.map(msg => msg.id), [ids[4]], `latest, limit ${limit}`);
+            
+            const page = await getMessages({ before: ids[4], limit });
+            assert.deepStrictEqual(page.messages.map(msg => msg.id), [ids[3]], `before, limit ${limit}`);
+        }
+    });
+    
+    test('uses the default for limits that are not numbers', async () => {
+        const { messages } = await getMessages({ limit: 'lots' });
+        assert.ok(messages.length > 5);
+    });
+    
+    test('rejects invalid cursors', async () => {
+        const { status } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL, before: 'yesterday' } });
+        assert.strictEqual(status, 400);
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { startServer, getFreePort, PASSWORD, DEMO_CHANNEL } = require('./helpers');
+
+const CHANNEL = '#loopback-1';
+
+// Function to connect an IRC client. Returns { send(line), expect(pattern), close() }; expect waits for
+// the next line matching the pattern, skipping the ones before it
+function connectIrc(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const lines = [];
+        let buffer = '';
+        let waiting = null;
+        
+        socket.setEncoding('utf8');
+        socket.on('data', data => {
+            buffer += data;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                lines.push(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+            }
+            if (waiting) waiting();
+        });
+        socket.on('close', () => {
+            if (waiting) waiting();
+        });
+        socket.once('error', reject);
+        socket.once('connect', () => resolve({
+            send(line) {
+                socket.write(`${line}\r\n`);
+            },
+            async expect(pattern) {
+                const deadline = Date.now() + 5000;
+                while (true) {
+                    while (lines.length > 0) {
+                        const line = lines.shift();
+                        if (pattern.test(line)) return line;
+                    }
+                    if (socket.destroyed || Date.now() > deadline) {
+                        throw new Error(`No line matching ${pattern}`);
+                    }
+                    await new Promise(done => {
+                        waiting = done;
+                        setTimeout(done, 100);
+                    });
+                }
+            },
+            close() {
+                socket.destroy();
+            }
+        }));
+    });
+}
+
+describe('IRC gateway', () => {
+    let server;
+    let port;
+    let client;
+    
+    before(async () => {
+        port = await getFreePort();
+        server = await startServer({ env: { IRC_PORT: String(port) } });
+        client = await connectIrc(port);
+        client.send(`PASS ${PASSWORD}`);
+        client.send('NICK tester');
+        client.send('USER tester 0 * :Test User');
+        await client.expect(/ 001 tester /);
+    });
+    after(async () => {
+        client.close();
+        await server.stop();
+    });
+    
+    test('lists the bridged channels in the MOTD', async () => {
+        client.send('MOTD');
+        await client.expect(new RegExp(` 372 tester :-   ${CHANNEL} `));
+    });
+    
+    test('joins a channel with its names and recent history', async () => {
+        client.send(`JOIN ${CHANNEL}`);
+        await client.expect(new RegExp(`^:tester!\\S+ JOIN ${CHANNEL}$`));
+        await client.expect(/ 366 tester /);
+        await client.expect(new RegExp(`^(@\\S+ )?:alice!\\S+ PRIVMSG ${CHANNEL} :Welcome to`));
+    });
+    
+    test('relays channel messages to Discord', async () => {
+        client.send(`PRIVMSG ${CHANNEL} :hello from irc`);
+        
+        const deadline = Date.now() + 5000;
+        let sent;
+        while (!sent && Date.now() < deadline) {
+            const { body } = await server.request('GET', '/loopback/state');
+            sent = body.sent.find(message => message.content.includes('hello from irc'));
+            if (!sent) await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.ok(sent, 'the message reached the adapter');
+        assert.strictEqual(sent.author, 'tester');
+    });
+    
+    test('relays Discord messages to the channel', async () => {
+        await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'bob', content: 'hi irc' } });
+        await client.expect(new RegExp(`^(@\\S+ )?:bob!\\S+ PRIVMSG ${CHANNEL} :hi irc$`));
+    });
+    
+    test('answers PING', async () => {
+        client.send('PING :abc');
+        await client.expect(/ PONG \S+ :abc$/);
+    });
+    
+    test('rejects a wrong password', async () => {
+        const other = await connectIrc(port);
+        try {
+            other.send('PASS wrong');
+            other.send('NICK intruder');
+            other.send('USER intruder 0 * :Intruder');
+            await other.expect(/ 464 /);
+        } finally {
+            other.close();
+        }
+    });
+});
@@ -0,0 +1,86 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('loopback adapter', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer();
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('bridges the demo channel when no channel ids are set', async () => {
+        const { status, body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.channel, DEMO_CHANNEL);
+        assert.deepStrictEqual(body.channels.map(channel => channel.id), [DEMO_CHANNEL]);
+        assert.ok(body.messages.length > 0, 'the demo channel is seeded');
+    });
+    
+    test('records web messages in /loopback/state', async () => {
+        await server.request('POST', '/loopback/reset');
+        const sent = await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'hello loopback' } });
+        assert.strictEqual(sent.status, 200);
+        
+        const { body } = await server.request('GET', `/loopback/state?channel=${DEMO_CHANNEL}`);
+        assert.strictEqual(body.sent.length, 1);
+        assert.strictEqual(body.sent[0].id, sent.body.id);
+        assert.match(body.sent[0].content, /hello loopback/);
+    });
+    
+    test('relays messages posted as Discord users to the web side', async () => {
+        const posted = await server.request('POST', '/loopback/messages', {
+            body: { channel: DEMO_CHANNEL, author: 'bob', content: 'from discord' }
+        });
+        assert.strictEqual(posted.status, 200);
+        
+        const { body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+        const message = body.messages.find(msg => msg.id === posted.body.message.id);
+        assert.ok(message);
+        assert.strictEqual(message.author, 'bob');
+        assert.strictEqual(message.content, 'from discord');
+    });
+    
+    test('edits and deletes web messages through the adapter', async () => {
+        const sent = await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'first' } });
+        const { id } = sent.body;
+        
+        const edited = await server.request('POST', '/api/edit', { cookie, body: { channel: DEMO_CHANNEL, id, message: 'second' } });
+        assert.strictEqual(edited.status, 200);
+        
+        const deleted = await server.request('POST', '/api/delete', { cookie, body: { channel: DEMO_CHANNEL, id } });
+        assert.strictEqual(deleted.status, 200);
+        
+        const { body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+        assert.ok(!body.messages.some(msg => msg.id === id));
+    });
+    
+    test('refuses control requests forwarded by a proxy', async () => {
+        for (const header of ['X-Forwarded-For', 'Forwarded']) {
+            const { status } = await server.request('GET', '/loopback/state', { headers: { [header]: 'for=203.0.113.5' } });
+            assert.strictEqual(status, 403, header);
+        }
+    });
+});
+
+describe('loopback control token', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { LOOPBACK_CONTROL_TOKEN: 'control-token' } });
+    });
+    after(() => server.stop());
+    
+    test('is required when set', async () => {
+        assert.strictEqual((await server.request('GET', '/loopback/state')).status, 401);
+        assert.strictEqual((await server.request('GET', '/loopback/state', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+        
+        const { status } = await server.request('GET', '/loopback/state', {
+            headers: { Authorization: 'Bearer control-token', 'X-Forwarded-For': '203.0.113.5' }
+        });
+        assert.strictEqual(status, 200);
+    });
+});
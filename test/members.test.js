@@ -0,0 +1,36 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('member list', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer();
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('lists the channel members with their presence', async () => {
+        const { status, body } = await server.request('GET', `/api/members?channel=${DEMO_CHANNEL}`, { cookie });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.channel, DEMO_CHANNEL);
+        assert.strictEqual(body.truncated, false);
+        assert.deepStrictEqual(body.members.map(member => member.name), ['alice', 'bob', 'EchoBot']);
+        
+        const bot = body.members.find(member => member.bot);
+        assert.strictEqual(bot.status, 'online');
+        assert.match(bot.avatarUrl, /^data:image\/svg\+xml,/);
+    });
+    
+    test('answers 404 for channels that are not bridged', async () => {
+        const { status } = await server.request('GET', '/api/members?channel=300000000000000003', { cookie });
+        assert.strictEqual(status, 404);
+    });
+    
+    test('needs a session', async () => {
+        const { status } = await server.request('GET', `/api/members?channel=${DEMO_CHANNEL}`);
+        assert.strictEqual(status, 401);
+    });
+});
@@ -0,0 +1,100 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('moderation', () => {
+    let server;
+    let moderator;
+    let eve;
+    
+    before(async () => {
+        server = await startServer({
+            env: { USERS_FILE: 'users.json', RATE_LIMITS: JSON.stringify({ login: { burst: 20, perMinute: 120 } }) },
+            files: {
+                'users.json': {
+                    users: [
+                        { username: 'mod', password: 'mod-pw', role: 'moderator' },
+                        { username: 'eve', password: 'eve-pw' }
+                    ]
+                }
+            }
+        });
+        moderator = await server.login('mod-pw', 'mod');
+        eve = await server.login('eve-pw', 'eve');
+    });
+    after(() => server.stop());
+    
+    // Function to send a message as a session and return the status
+    async function send(cookie, message) {
+        return (await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message } })).status;
+    }
+    
+    test('is for moderators only', async () => {
+        assert.strictEqual((await server.request('GET', '/api/moderation/restrictions', { cookie: eve })).status, 403);
+        assert.strictEqual((await server.request('GET', '/api/moderation/restrictions', { cookie: moderator })).status, 200);
+    });
+    
+    test('mutes and unmutes a web user', async () => {
+        const { body } = await server.request('POST', '/api/moderation/restrict', {
+            cookie: moderator,
+            body: { action: 'mute', username: 'eve', reason: 'spam', durationMinutes: 10 }
+        });
+        assert.ok(body.restriction.expiresAt > Date.now());
+        
+        assert.strictEqual(await send(eve, 'let me talk'), 403);
+        assert.strictEqual(await send(moderator, 'still here'), 200);
+        
+        await server.request('POST', '/api/moderation/unrestrict', { cookie: moderator, body: { id: body.restriction.id } });
+        assert.strictEqual(await send(eve, 'thanks'), 200);
+    });
+    
+    test('bans keep a user from logging in', async () => {
+        const { body } = await server.request('POST', '/api/moderation/restrict', { cookie: moderator, body: { action: 'ban', username: 'eve' } });
+        assert.strictEqual(body.restriction.expiresAt, null);
+        
+        assert.strictEqual(await send(eve, 'hello?'), 403);
+        const login = await server.request('POST', '/api/login', { body: { username: 'eve', password: 'eve-pw' } });
+        assert.strictEqual(login.status, 403);
+        
+        await server.request('POST', '/api/moderation/unrestrict', { cookie: moderator, body: { id: body.restriction.id } });
+    });
+    
+    test('validates restrictions', async () => {
+        const noAction = await server.request('POST', '/api/moderation/restrict', { cookie: moderator, body: { action: 'kick', username: 'eve' } });
+        assert.strictEqual(noAction.status, 400);
+        const noTarget = await server.request('POST', '/api/moderation/restrict', { cookie: moderator, body: { action: 'mute' } });
+        assert.strictEqual(noTarget.status, 400);
+    });
+    
+    test('purges messages by author', async () => {
+        for (const content of ['spam 1', 'spam 2', 'spam 3']) {
+            await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'spammer', content } });
+        }
+        await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'bob', content: 'keep me' } });
+        
+        const { status, body } = await server.request('POST', '/api/moderation/purge', {
+            cookie: moderator,
+            body: { channel: DEMO_CHANNEL, author: 'Spammer', count: 2 }
+        });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.deletedCount, 2);
+        
+        const { body: page } = await server.request('POST', '/api/messages', { cookie: moderator, body: { channel: DEMO_CHANNEL } });
+        const contents = page.messages.map(msg => msg.content);
+        assert.ok(contents.includes('spam 1'), 'the oldest match is past the count');
+        assert.ok(!contents.includes('spam 3'));
+        assert.ok(contents.includes('keep me'));
+    });
+    
+    test('records moderator actions in the audit log', async () => {
+        const { body } = await server.request('GET', '/api/moderation/audit', { cookie: moderator });
+        const actions = body.entries.map(entry => entry.action);
+        for (const action of ['mute', 'unmute', 'ban', 'unban', 'purge']) {
+            assert.ok(actions.includes(action), action);
+        }
+        assert.ok(body.entries.every(entry => entry.moderator === 'mod'));
+        
+        const filtered = await server.request('GET', '/api/moderation/audit?action=ban&limit=-3', { cookie: moderator });
+        assert.deepStrictEqual(filtered.body.entries.map(entry => entry.action), ['ban']);
+    });
+});
@@ -0,0 +1,62 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('health and metrics', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { LOG_LEVEL: 'info' } });
+    });
+    after(() => server.stop());
+    
+    test('reports liveness and readiness', async () => {
+        const health = await server.request('GET', '/healthz');
+        assert.strictEqual(health.status, 200);
+        assert.strictEqual(health.body.status, 'ok');
+        assert.strictEqual(health.body.gateway.connected, true);
+        
+        const ready = await server.request('GET', '/readyz');
+        assert.deepStrictEqual([ready.status, ready.body.status, ready.body.storage], [200, 'ready', 'loaded']);
+    });
+    
+    test('exposes Prometheus metrics', async () => {
+        const cookie = await server.login();
+        await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'counted' } });
+        
+        const { status, headers, body } = await server.request('GET', '/metrics');
+        assert.strictEqual(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(body, /^# TYPE webchat_discord_gateway_up gauge$/m);
+        assert.match(body, /^webchat_discord_gateway_up 1$/m);
+        assert.match(body, /^webchat_bridged_channels 1$/m);
+        assert.match(body, /^webchat_messages_out_total\{kind="message"\} 1$/m);
+        assert.match(body, /^webchat_http_request_duration_seconds_count\{method="POST",route="\/api\/send",status="200"\} 1$/m);
+    });
+    
+    test('writes text log lines by default', () => {
+        assert.match(server.output, /^\[SERVER\] /m);
+    });
+});
+
+describe('metrics token and JSON logs', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { METRICS_TOKEN: 'scrape-me', LOG_FORMAT: 'json', LOG_LEVEL: 'info' } });
+    });
+    after(() => server.stop());
+    
+    test('requires the metrics token when set', async () => {
+        assert.strictEqual((await server.request('GET', '/metrics')).status, 401);
+        const { status } = await server.request('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-me' } });
+        assert.strictEqual(status, 200);
+    });
+    
+    test('writes one JSON object per log line', () => {
+        const lines = server.output.trim().split('\n');
+        const entries = lines.map(line => JSON.parse(line));
+        assert.ok(entries.every(entry => entry.time && entry.level && 'msg' in entry));
+        assert.ok(entries.some(entry => entry.tag === 'SERVER'));
+    });
+});
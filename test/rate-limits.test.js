@@ -0,0 +1,47 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('rate limits', () => {
+    let server;
+    
+    before(async () => {
+        // Successful logins draw from the login bucket too: 3 in the first tests, leaving 3 attempts
+        const limits = { send: { burst: 2, perMinute: 6 }, login: { burst: 6, perMinute: 1 } };
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify(limits) } });
+    });
+    after(() => server.stop());
+    
+    // Function to send a message as a session
+    function send(cookie) {
+        return server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'hi' } });
+    }
+    
+    test('allow a burst, then answer 429 with when to retry', async () => {
+        const cookie = await server.login();
+        assert.strictEqual((await send(cookie)).headers.get('ratelimit-remaining'), '1');
+        assert.strictEqual((await send(cookie)).status, 200);
+        
+        const limited = await send(cookie);
+        assert.strictEqual(limited.status, 429);
+        assert.ok(limited.body.retryAfter > 0 && limited.body.retryAfter <= 10000);
+        assert.strictEqual(limited.headers.get('retry-after'), String(Math.ceil(limited.body.retryAfter / 1000)));
+    });
+    
+    test('count each login separately rather than per IP', async () => {
+        const first = await server.login();
+        const second = await server.login();
+        await send(first);
+        await send(first);
+        assert.strictEqual((await send(first)).status, 429);
+        assert.strictEqual((await send(second)).status, 200);
+    });
+    
+    test('count failed logins', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await server.request('POST', '/api/login', { body: { password: 'wrong' } })).status);
+        }
+        assert.deepStrictEqual(statuses, [401, 401, 401, 429]);
+    });
+});
@@ -0,0 +1,45 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('reactions', () => {
+    let server;
+    let cookie;
+    let messageId;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ react: { burst: 20, perMinute: 120 } }) } });
+        cookie = await server.login();
+        const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: 'react to me' } });
+        messageId = posted.body.message.id;
+    });
+    after(() => server.stop());
+    
+    test('adds and removes a reaction', async () => {
+        const added = await server.request('POST', '/api/react', { cookie, body: { channel: DEMO_CHANNEL, id: messageId, emoji: '👍' } });
+        assert.strictEqual(added.status, 200);
+        assert.deepStrictEqual(added.body.reactions.map(({ key, count, me }) => ({ key, count, me })), [{ key: '👍', count: 1, me: true }]);
+        
+        const removed = await server.request('POST', '/api/react', { cookie, body: { channel: DEMO_CHANNEL, id: messageId, emoji: '👍', remove: true } });
+        assert.strictEqual(removed.status, 200);
+        assert.deepStrictEqual(removed.body.reactions, []);
+    });
+    
+    test('needs a message id', async () => {
+        for (const id of [undefined, '', 'abc', ['1234567890123456789'], { id: messageId }]) {
+            const { status, body } = await server.request('POST', '/api/react', { cookie, body: { channel: DEMO_CHANNEL, id, emoji: '👍' } });
+            assert.strictEqual(status, 400, JSON.stringify(id));
+            assert.strictEqual(body.error, 'Invalid message id');
+        }
+    });
+    
+    test('answers 404 for a message that does not exist', async () => {
+        const { status } = await server.request('POST', '/api/react', { cookie, body: { channel: DEMO_CHANNEL, id: '1234567890123456789', emoji: '👍' } });
+        assert.strictEqual(status, 404);
+    });
+    
+    test('rejects custom emoji offline', async () => {
+        const { status } = await server.request('POST', '/api/react', { cookie, body: { channel: DEMO_CHANNEL, id: messageId, emoji: '123456789012345678' } });
+        assert.strictEqual(status, 400);
+    });
+});
@@ -0,0 +1,43 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('message search', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ search: { burst: 20, perMinute: 120 } }) } });
+        cookie = await server.login();
+        await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'bob', content: 'the quick brown fox' } });
+        await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'alice', content: 'a quick "reply"' } });
+    });
+    after(() => server.stop());
+    
+    test('matches words and filters by author', async () => {
+        const { status, body } = await server.request('POST', '/api/search', { cookie, body: { query: 'quick', author: 'BOB' } });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.total, 1);
+        assert.strictEqual(body.results[0].message.content, 'the quick brown fox');
+        assert.strictEqual(body.results[0].channel, DEMO_CHANNEL);
+    });
+    
+    test('matches quoted phrases', async () => {
+        const { body } = await server.request('POST', '/api/search', { cookie, body: { query: '"brown fox"' } });
+        assert.strictEqual(body.total, 1);
+        assert.deepStrictEqual(body.terms, ['brown fox']);
+    });
+    
+    test('rejects filters that are not strings', async () => {
+        for (const filters of [{ author: ['bob'] }, { query: { $ne: '' } }, { has: ['image'] }, { query: 'quick', since: 5 }]) {
+            const { status, body } = await server.request('POST', '/api/search', { cookie, body: filters });
+            assert.strictEqual(status, 400, JSON.stringify(filters));
+            assert.match(body.error, /must be a string/);
+        }
+    });
+    
+    test('needs something to search for', async () => {
+        const { status } = await server.request('POST', '/api/search', { cookie, body: { query: '  ' } });
+        assert.strictEqual(status, 400);
+    });
+});
@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const RATE_LIMITS = JSON.stringify({ login: { burst: 20, perMinute: 120 } });
+
+// Function to wait until a check passes (the users file is polled every 2 seconds)
+async function waitFor(check, timeout = 8000) {
+    const deadline = Date.now() + timeout;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the change');
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+describe('shared-password sessions', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS } });
+    });
+    after(() => server.stop());
+    
+    test('logs in and out', async () => {
+        const cookie = await server.login();
+        let { body } = await server.request('GET', '/api/session', { cookie });
+        assert.strictEqual(body.authenticated, true);
+        assert.strictEqual(body.role, 'user');
+        
+        await server.request('POST', '/api/logout', { cookie });
+        ({ body } = await server.request('GET', '/api/session', { cookie }));
+        assert.strictEqual(body.authenticated, false);
+        assert.strictEqual((await server.request('POST', '/api/messages', { cookie, body: {} })).status, 401);
+    });
+    
+    test('rejects a wrong password and a tampered cookie', async () => {
+        const { status } = await server.request('POST', '/api/login', { body: { password: 'nope' } });
+        assert.strictEqual(status, 401);
+        
+        const cookie = await server.login();
+        const { body } = await server.request('GET', '/api/session', { cookie: cookie.slice(0, -2) + 'xx' });
+        assert.strictEqual(body.authenticated, false);
+    });
+    
+    test('grants the moderator role with the moderator password', async () => {
+        const cookie = await server.login('moderator-password');
+        const { body } = await server.request('GET', '/api/session', { cookie });
+        assert.strictEqual(body.role, 'moderator');
+    });
+});
+
+describe('per-user sessions', () => {
+    let server;
+    let usersFile;
+    
+    // Function to write the users file
+    function writeUsers(users) {
+        fs.writeFileSync(usersFile, JSON.stringify({ users }));
+    }
+    
+    before(async () => {
+        server = await startServer({
+            env: { USERS_FILE: 'users.json', RATE_LIMITS },
+            files: { 'users.json': { users: [{ username: 'Carol', password: 'carol-pw' }, { username: 'dave', password: 'dave-pw' }] } }
+        });
+        usersFile = path.join(server.dir, 'users.json');
+    });
+    after(() => server.stop());
+    
+    test('posts under the account name', async () => {
+        const cookie = await server.login('carol-pw', 'carol');
+        const { body } = await server.request('GET', '/api/session', { cookie });
+        assert.strictEqual(body.username, 'Carol');
+        assert.strictEqual(body.perUser, true);
+    });
+    
+    test('applies role changes and removals from the users file without a restart', async () => {
+        const carol = await server.login('carol-pw', 'carol');
+        const dave = await server.login('dave-pw', 'dave');
+        
+        writeUsers([{ username: 'Carol', password: 'carol-pw', role: 'moderator' }]);
+        await waitFor(async () => (await server.request('GET', '/api/session', { cookie: carol })).body.role === 'moderator');
+        
+        const { body } = await server.request('GET', '/api/session', { cookie: dave });
+        assert.strictEqual(body.authenticated, false);
+    });
+    
+    test('keeps the last good users when the file breaks', async () => {
+        const carol = await server.login('carol-pw', 'carol');
+        fs.writeFileSync(usersFile, '{"users": [');
+        await waitFor(() => server.output.includes('Error reloading users file'));
+        
+        const { body } = await server.request('GET', '/api/session', { cookie: carol });
+        assert.strictEqual(body.authenticated, true);
+    });
+});
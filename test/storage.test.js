@@ -0,0 +1,68 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+// Function to wait until the jsonl store has written a message
+async function waitForStored(server, id) {
+    const storeFile = path.join(server.dir, 'data', `messages-${DEMO_CHANNEL}.jsonl`);
+    while (!fs.existsSync(storeFile) || !fs.readFileSync(storeFile, 'utf8').includes(id)) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('message storage', () => {
+    test('keeps history across restarts', async () => {
+        let server = await startServer();
+        try {
+            const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: 'remember me' } });
+            const { id } = posted.body.message;
+            await waitForStored(server, id);
+            
+            await server.stop({ keep: true });
+            server = await startServer({ dir: server.dir });
+            
+            const cookie = await server.login();
+            const { body } = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+            assert.ok(body.messages.some(msg => msg.id === id && msg.content === 'remember me'));
+        } finally {
+            await server.stop();
+        }
+    });
+    
+    test('pages back beyond the in-memory buffer', async () => {
+        const server = await startServer({ files: { 'config.json': { maxMessages: 10 } } });
+        try {
+            const cookie = await server.login();
+            const ids = [];
+            for (let i = 0; i < 25; i++) {
+                const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: `number ${i}` } });
+                ids.push(posted.body.message.id);
+            }
+            
+            const latest = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL } });
+            assert.strictEqual(latest.body.messages.length, 10);
+            assert.deepStrictEqual(latest.body.messages.map(msg => msg.id), ids.slice(-10));
+            
+            const older = await server.request('POST', '/api/messages', { cookie, body: { channel: DEMO_CHANNEL, before: ids[15] } });
+            assert.deepStrictEqual(older.body.messages.map(msg => msg.id).slice(-10), ids.slice(5, 15));
+        } finally {
+            await server.stop();
+        }
+    });
+    
+    test('can keep messages in memory only', async () => {
+        const server = await startServer({ env: { STORAGE_DRIVER: 'memory' } });
+        try {
+            await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: 'fleeting' } });
+            assert.ok(!fs.existsSync(path.join(server.dir, 'data', `messages-${DEMO_CHANNEL}.jsonl`)));
+            
+            const cookie = await server.login();
+            const { body } = await server.request('POST', '/api/search', { cookie, body: { query: 'fleeting' } });
+            assert.strictEqual(body.total, 1);
+        } finally {
+            await server.stop();
+        }
+    });
+});
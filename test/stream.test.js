@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('event stream', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer();
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('needs a session', async () => {
+        const { status } = await server.request('GET', '/api/stream');
+        assert.strictEqual(status, 401);
+    });
+    
+    test('starts with the channel list and a snapshot of each channel', async () => {
+        const stream = await server.openStream(cookie);
+        try {
+            const channels = await stream.next('channels');
+            assert.deepStrictEqual(channels.data.channels.map(channel => channel.id), [DEMO_CHANNEL]);
+            
+            const snapshot = await stream.next('snapshot');
+            assert.strictEqual(snapshot.data.channel, DEMO_CHANNEL);
+            assert.ok(Array.isArray(snapshot.data.messages));
+        } finally {
+            stream.close();
+        }
+    });
+    
+    test('pushes new, edited and deleted messages', async () => {
+        const stream = await server.openStream(cookie);
+        try {
+            await stream.next('snapshot');
+            
+            const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, author: 'bob', content: 'live' } });
+            const message = await stream.next('message', data => data.message.id === posted.body.message.id);
+            assert.strictEqual(message.data.channel, DEMO_CHANNEL);
+            assert.strictEqual(message.data.message.content, 'live');
+            
+            const sent = await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'from the web' } });
+            await stream.next('message', data => data.message.id === sent.body.id);
+            
+            await server.request('POST', '/api/edit', { cookie, body: { channel: DEMO_CHANNEL, id: sent.body.id, message: 'edited' } });
+            const update = await stream.next('messageUpdate');
+            assert.strictEqual(update.data.message.content, 'edited');
+            
+            await server.request('POST', '/api/delete', { cookie, body: { channel: DEMO_CHANNEL, id: sent.body.id } });
+            await stream.next('messageDelete');
+        } finally {
+            stream.close();
+        }
+    });
+    
+    test('resumes after the last event id without a new snapshot', async () => {
+        const first = await server.openStream(cookie);
+        let lastId;
+        try {
+            lastId = (await first.next('snapshot')).id;
+        } finally {
+            first.close();
+        }
+        
+        const posted = await server.request('POST', '/loopback/messages', { body: { channel: DEMO_CHANNEL, content: 'while away' } });
+        
+        const resumed = await server.openStream(cookie, { cursor: lastId });
+        try {
+            const message = await resumed.next('message');
+            assert.strictEqual(message.data.message.id, posted.body.message.id);
+            assert.ok(!resumed.events.some(event => event.type === 'snapshot'));
+        } finally {
+            resumed.close();
+        }
+    });
+});
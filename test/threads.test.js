@@ -0,0 +1,41 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+// Threads need Discord; offline these only cover the checks in front of the adapter
+describe('threads', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ thread: { burst: 20, perMinute: 120 } }) } });
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    test('lists no threads for a fresh channel', async () => {
+        const { status, body } = await server.request('GET', `/api/threads?channel=${DEMO_CHANNEL}`, { cookie });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, { channel: DEMO_CHANNEL, threads: [] });
+    });
+    
+    test('validates new threads', async () => {
+        const noName = await server.request('POST', '/api/threads', { cookie, body: { channel: DEMO_CHANNEL, name: '  ' } });
+        assert.strictEqual(noName.status, 400);
+        const badMessage = await server.request('POST', '/api/threads', { cookie, body: { channel: DEMO_CHANNEL, name: 'topic', messageId: 'first' } });
+        assert.strictEqual(badMessage.status, 400);
+        const unknown = await server.request('POST', '/api/threads', { cookie, body: { channel: '300000000000000003', name: 'topic' } });
+        assert.strictEqual(unknown.status, 404);
+    });
+    
+    test('reports that the loopback adapter has no threads', async () => {
+        const { status, body } = await server.request('POST', '/api/threads', { cookie, body: { channel: DEMO_CHANNEL, name: 'topic' } });
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /loopback/);
+    });
+    
+    test('answers 404 for threads it does not know', async () => {
+        const { status } = await server.request('POST', '/api/send', { cookie, body: { thread: '300000000000000004', message: 'hi' } });
+        assert.strictEqual(status, 404);
+    });
+});
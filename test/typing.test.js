@@ -0,0 +1,46 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('typing indicators', () => {
+    let server;
+    let cookie;
+    let stream;
+    
+    before(async () => {
+        server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ typing: { burst: 20, perMinute: 120 } }) } });
+        cookie = await server.login();
+        stream = await server.openStream(cookie);
+        await stream.next('snapshot');
+    });
+    after(async () => {
+        stream.close();
+        await server.stop();
+    });
+    
+    // Function to check whether a typing event lists someone
+    const lists = (name, source) => data => data.channel === DEMO_CHANNEL && data.typing.some(user => user.name === name && user.source === source);
+    
+    test('shows Discord users typing until the timeout', async () => {
+        await server.request('POST', '/loopback/typing', { body: { channel: DEMO_CHANNEL, author: 'bob', timeout: 300 } });
+        await stream.next('typing', lists('bob', 'Discord'));
+        
+        await stream.next('typing', data => !data.typing.some(user => user.name === 'bob'));
+    });
+    
+    test('shows web users typing and clears them when they stop', async () => {
+        await server.request('POST', '/api/typing', { cookie, body: { channel: DEMO_CHANNEL, isTyping: true, username: 'webby' } });
+        await stream.next('typing', lists('webby', 'Web'));
+        
+        await server.request('POST', '/api/typing', { cookie, body: { channel: DEMO_CHANNEL, isTyping: false, username: 'webby' } });
+        await stream.next('typing', data => !data.typing.some(user => user.name === 'webby'));
+    });
+    
+    test('clears a web user when their message arrives', async () => {
+        await server.request('POST', '/api/typing', { cookie, body: { channel: DEMO_CHANNEL, isTyping: true, username: 'quick' } });
+        await stream.next('typing', lists('quick', 'Web'));
+        
+        await server.request('POST', '/api/send', { cookie, body: { channel: DEMO_CHANNEL, message: 'done', username: 'quick' } });
+        await stream.next('typing', data => !data.typing.some(user => user.name === 'quick'));
+    });
+});
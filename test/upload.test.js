@@ -0,0 +1,71 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, DEMO_CHANNEL } = require('./helpers');
+
+describe('file uploads', () => {
+    let server;
+    let cookie;
+    
+    before(async () => {
+        server = await startServer({
+            env: { UPLOAD_MAX_FILE_SIZE: '1024', RATE_LIMITS: JSON.stringify({ upload: { burst: 20, perMinute: 120 } }) }
+        });
+        cookie = await server.login();
+    });
+    after(() => server.stop());
+    
+    // Function to upload files ([{ name, type, data }]) with an optional caption
+    async function upload(files, fields = {}) {
+        const form = new FormData();
+        form.append('channel', DEMO_CHANNEL);
+        Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+        files.forEach(file => form.append('files', new Blob([file.data], { type: file.type }), file.name));
+        
+        const response = await fetch(`${server.url}/api/upload`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+        return { status: response.status, body: await response.json() };
+    }
+    
+    test('sends files with a caption and serves them back', async () => {
+        const { status, body } = await upload([{ name: 'dot.png', type: 'image/png', data: 'not really a png' }], { message: 'look' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.media.length, 1);
+        assert.strictEqual(body.media[0].type, 'image');
+        assert.strictEqual(body.media[0].filename, 'dot.png');
+        
+        const file = await fetch(server.url + body.media[0].url, { headers: { Cookie: cookie } });
+        assert.strictEqual(file.status, 200);
+        assert.strictEqual(await file.text(), 'not really a png');
+        assert.match(file.headers.get('content-security-policy'), /sandbox/);
+        
+        const { body: state } = await server.request('GET', '/loopback/state');
+        const sent = state.sent.find(message => message.id === body.id);
+        assert.deepStrictEqual(sent.files, ['dot.png']);
+        assert.match(sent.content, /look/);
+    });
+    
+    test('describes video, audio and other files by type', async () => {
+        const { status, body } = await upload([
+            { name: 'clip.mp4', type: 'video/mp4', data: 'v' },
+            { name: 'voice.ogg', type: 'audio/ogg', data: 'a' },
+            { name: 'notes.pdf', type: 'application/pdf', data: 'p' }
+        ]);
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.media.map(item => item.type), ['video', 'audio', 'file']);
+    });
+    
+    test('rejects types that are not allowed', async () => {
+        const { status, body } = await upload([{ name: 'setup.exe', type: 'application/x-msdownload', data: 'MZ' }]);
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /not allowed/);
+    });
+    
+    test('rejects files over the size limit', async () => {
+        const { status } = await upload([{ name: 'big.txt', type: 'text/plain', data: 'x'.repeat(2048) }]);
+        assert.strictEqual(status, 413);
+    });
+    
+    test('needs at least one file', async () => {
+        const { status } = await upload([], { message: 'nothing attached' });
+        assert.strictEqual(status, 400);
+    });
+});